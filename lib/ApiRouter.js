@@ -0,0 +1,137 @@
+/**
+ * A tiny router for Kevin's internal API. Kevin doesn't depend on Express (it only
+ * expects Express-style request and response objects), so this only does what the API
+ * needs: matching a method and a path with `:params` in it, answering requests for paths
+ * it knows with the wrong method with a 405, and listing its routes.
+ */
+
+/**
+ * Responds with a JSON error body, which every internal API error uses.
+ * @param {object} res - Express response object
+ * @param {number} statusCode
+ * @param {string} message - what went wrong
+ */
+const sendError = function (res, statusCode, message) {
+    res.status(statusCode).json({ error: message });
+};
+
+/**
+ * Turns a route's path, like `/compilers/:name`, into a regular expression that
+ * captures each param.
+ * @param {string} routePath
+ * @returns {{ pattern: RegExp, paramNames: Array<string> }}
+ */
+const compilePath = function (routePath) {
+    const paramNames = [];
+    const source = routePath
+        .split("/")
+        .map((segment) => {
+            if (segment.startsWith(":")) {
+                paramNames.push(segment.slice(1));
+                return "([^/]+)";
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        })
+        .join("/");
+    return { pattern: new RegExp(`^${source}/?$`), paramNames };
+};
+
+class ApiRouter {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Adds a route.
+     * @param {string} method - i.e. "GET" or "POST". GET routes also answer HEAD requests.
+     * @param {string} routePath - relative to wherever the router is mounted. Segments
+     *      that start with a colon (like `/compilers/:name`) are params.
+     * @param {string} description - what the route does, for the route listing
+     * @param {function} handler - called with the request, the response, and an object
+     *      of the path's params
+     * @returns {ApiRouter} - this router, so calls can be chained
+     */
+    route(method, routePath, description, handler) {
+        this.routes.push({
+            method,
+            path: routePath,
+            description,
+            handler,
+            ...compilePath(routePath),
+        });
+        return this;
+    }
+
+    get(routePath, description, handler) {
+        return this.route("GET", routePath, description, handler);
+    }
+
+    post(routePath, description, handler) {
+        return this.route("POST", routePath, description, handler);
+    }
+
+    /**
+     * @returns {Array<object>} - the method, path and description of every route
+     */
+    getRoutes() {
+        return this.routes.map(({ method, path, description }) => ({
+            method,
+            path,
+            description,
+        }));
+    }
+
+    /**
+     * Handles a request, if one of the routes matches its path.
+     * @param {object} req - Express request object
+     * @param {object} res - Express response object
+     * @param {string} routePath - the request's path, relative to the router
+     * @returns {boolean} - false if none of the routes match the path, in which case
+     *      nothing has been sent.
+     */
+    handle(req, res, routePath) {
+        const method = req.method === "HEAD" ? "GET" : req.method;
+        const allowedMethods = [];
+        for (const route of this.routes) {
+            const match = route.pattern.exec(routePath);
+            if (!match) {
+                continue;
+            }
+            if (route.method !== method) {
+                allowedMethods.push(route.method);
+                continue;
+            }
+            let params;
+            try {
+                params = route.paramNames.reduce((params, name, i) => {
+                    params[name] = decodeURIComponent(match[i + 1]);
+                    return params;
+                }, {});
+            } catch (err) {
+                if (!(err instanceof URIError)) {
+                    throw err;
+                }
+                sendError(res, 400, `${routePath} isn't a valid URL path.`);
+                return true;
+            }
+            route.handler(req, res, params);
+            return true;
+        }
+
+        if (allowedMethods.length === 0) {
+            return false;
+        }
+        res.setHeader("Allow", allowedMethods.join(", "));
+        sendError(
+            res,
+            405,
+            `${routePath} doesn't accept ${req.method} requests. ` +
+                `Use ${allowedMethods.join(" or ")}.`
+        );
+        return true;
+    }
+}
+
+ApiRouter.sendError = sendError;
+
+module.exports = ApiRouter;
@@ -5,18 +5,67 @@
  * up the middleware logic.
  */
 
+const { SyncHook } = require("tapable");
 const ManagedCompiler = require("./ManagedCompiler");
-const { FIRST_BUILD } = require("./constants");
-const { logError } = require("./logger");
+const evictionStrategies = require("./evictionStrategies");
+const { FIRST_BUILD, MS_PER_MINUTE } = require("./constants");
+const { defaultLogger } = require("./logger");
+const { getOutputFilename } = require("./utils");
+
+/**
+ * Converts bytes to megabytes, rounded to two decimal places.
+ * @param {number} bytes
+ * @return {number}
+ */
+const toMegabytes = (bytes) => Math.round((bytes / 1024 / 1024) * 100) / 100;
 
 class CompilerManager {
     /**
-     * @param {boolean} $0.useFrequency - if true, use frequency instead of frecency
-     *      to determine compiler eviction.
+     * @param {string|function} $0.evictionStrategy - how to pick which compiler to evict.
+     *      Either the name of a built-in strategy ("lru", "lfu" or "frecency"), or a
+     *      function that's given info about every compiler that can be evicted and
+     *      returns the name of the one to close.
+     * @param {boolean} $0.useFrequency - deprecated; the same as using the "lfu"
+     *      eviction strategy.
+     * @param {boolean} $0.retainLastGoodBuild - if true, compilers hold on to the assets
+     *      from their last successful build, so they can be served while rebuilding.
+     * @param {boolean} $0.trackChangedAssets - if true, compilers keep track of which
+     *      assets changed in each build (see getChangedAssetsForCompiler).
+     * @param {object} $0.logger - where to log, see logger.createLogger
      */
-    constructor({ useFrequency = false } = {}) {
+    constructor({
+        useFrequency = false,
+        evictionStrategy = useFrequency ? "lfu" : "frecency",
+        retainLastGoodBuild = false,
+        trackChangedAssets = false,
+        logger = defaultLogger,
+    } = {}) {
+        if (
+            typeof evictionStrategy !== "function" &&
+            !Object.prototype.hasOwnProperty.call(evictionStrategies, evictionStrategy)
+        ) {
+            throw new Error(
+                `${evictionStrategy} is not a valid eviction strategy. Use one of ` +
+                    `${Object.keys(evictionStrategies).join(", ")}, or a function.`
+            );
+        }
+        this.hooks = {
+            // Called once a compiler is being managed
+            compilerAdded: new SyncHook(["compilerName"]),
+            // Called whenever any managed compiler's status changes
+            statusChange: new SyncHook(["compilerName", "status", "previousStatus"]),
+            // Called once a compiler has closed and is no longer being managed
+            compilerRemoved: new SyncHook(["compilerName"]),
+        };
         this.activeCompilers = {};
-        this.useFrequency = useFrequency;
+        this.evictionStrategy = evictionStrategy;
+        this.retainLastGoodBuild = retainLastGoodBuild;
+        this.trackChangedAssets = trackChangedAssets;
+        this.log = logger;
+        // Names of compilers that should never be evicted. We keep track of these
+        // separately so that configs can be pinned before their compilers start.
+        this.pinnedCompilerNames = new Set();
+        this.idleCheckInterval = null;
     }
 
     /**
@@ -31,9 +80,22 @@ class CompilerManager {
             name,
             compiler,
             watching,
-            status
+            status,
+            this.isCompilerPinned(name),
+            {
+                retainLastGoodBuild: this.retainLastGoodBuild,
+                trackChangedAssets: this.trackChangedAssets,
+                logger: this.log,
+            }
+        );
+        this.activeCompilers[name].hooks.statusChange.tap(
+            "CompilerManager",
+            (newStatus, previousStatus) => {
+                this.hooks.statusChange.call(name, newStatus, previousStatus);
+            }
         );
         this.noteCompilerUsage(name);
+        this.hooks.compilerAdded.call(name);
     }
 
     /**
@@ -65,7 +127,7 @@ class CompilerManager {
      */
     getStatus(name) {
         if (!this.isCompilerActive(name)) {
-            logError(`Couldn't get status of unknown compiler: ${name}`);
+            this.log.error(`Couldn't get status of unknown compiler: ${name}`);
             return null;
         }
         return this.activeCompilers[name].status;
@@ -79,7 +141,7 @@ class CompilerManager {
      */
     setStatus(name, status, errors = []) {
         if (!this.isCompilerActive(name)) {
-            logError(`Couldn't set status of unknown compiler: ${name}`);
+            this.log.error(`Couldn't set status of unknown compiler: ${name}`);
             return;
         }
         this.activeCompilers[name].setStatus(status, errors);
@@ -93,7 +155,7 @@ class CompilerManager {
      */
     noteCompilerUsage(name) {
         if (!this.isCompilerActive(name)) {
-            logError(
+            this.log.error(
                 `Tried to mark compiler ${name} as in use, but it's not being managed`
             );
             return;
@@ -106,6 +168,40 @@ class CompilerManager {
         compiler.logFrequencyUsage();
     }
 
+    /**
+     * Pins a compiler, so that it's never evicted. The compiler doesn't need to be
+     * active; if it isn't, it'll be pinned as soon as it starts.
+     * @param {string} name - compiler's name
+     */
+    pinCompiler(name) {
+        this.pinnedCompilerNames.add(name);
+        if (this.isCompilerActive(name)) {
+            this.activeCompilers[name].setPinned(true);
+        }
+    }
+
+    /**
+     * Unpins a compiler, making it eligible for eviction again.
+     * @param {string} name - compiler's name
+     */
+    unpinCompiler(name) {
+        this.pinnedCompilerNames.delete(name);
+        if (this.isCompilerActive(name)) {
+            this.activeCompilers[name].setPinned(false);
+            // Usage isn't tracked while a compiler is pinned, so count this as a use;
+            // otherwise it'd look like it hasn't been used since it was pinned.
+            this.noteCompilerUsage(name);
+        }
+    }
+
+    /**
+     * @param {string} name - compiler's name
+     * @returns {boolean}
+     */
+    isCompilerPinned(name) {
+        return this.pinnedCompilerNames.has(name);
+    }
+
     /**
      * This adds a callback to be run for a given compiler once it's done with its
      * current build.
@@ -116,15 +212,32 @@ class CompilerManager {
      * @param {string} name — the compiler's name
      * @param {function} resolve — success callback
      * @param {function} reject — failure callback
+     * @returns {object|null} — the callback, for removeDeferredCallback, or null if
+     *      the compiler isn't active
      */
     addDeferredCallback(name, resolve, reject) {
         if (!this.isCompilerActive(name)) {
             const errorMsg = `Tried to add callbacks for untracked compiler "${name}".`;
-            logError(errorMsg);
+            this.log.error(errorMsg);
             reject(new Error(errorMsg));
-            return;
+            return null;
         }
-        this.activeCompilers[name].addCallback({ resolve, reject });
+        const deferred = { resolve, reject };
+        this.activeCompilers[name].addCallback(deferred);
+        return deferred;
+    }
+
+    /**
+     * Stops waiting on a callback added with addDeferredCallback, without calling it.
+     * @param {string} name — the compiler's name
+     * @param {object} deferred — what addDeferredCallback returned
+     * @returns {boolean} — true if the callback was still waiting
+     */
+    removeDeferredCallback(name, deferred) {
+        if (!this.isCompilerActive(name)) {
+            return false;
+        }
+        return this.activeCompilers[name].removeCallback(deferred);
     }
 
     /** ********************************************
@@ -150,7 +263,9 @@ class CompilerManager {
         Object.keys(this.activeCompilers).forEach((name) => {
             result.compilers[name] = this.getInfoForCompiler(name);
         });
-        result.leastUsedCompiler = this.getLeastUsedCompiler();
+        result.evictionStrategy = this.getEvictionStrategyName();
+        result.evictionRanking = this.getEvictionRanking();
+        result.leastUsedCompiler = result.evictionRanking[0] || null;
         return result;
     }
 
@@ -160,20 +275,169 @@ class CompilerManager {
      */
     getInfoForCompiler(name) {
         if (!this.isCompilerActive(name)) {
-            logError(`Tried to get info for non-active compiler ${name}`);
+            this.log.error(`Tried to get info for non-active compiler ${name}`);
             return;
         }
         const compiler = this.activeCompilers[name];
         return {
             status: compiler.status,
             errors: compiler.getCurrentErrors(),
+            // The same errors, with the module and location each came from
+            errorDetails: compiler.getCurrentErrorDetails(),
+            warningCount: compiler.getCurrentWarnings().length,
+            warnings: compiler.getCurrentWarnings().map(({ message }) => message),
             frequency: compiler.getFrequency(),
             frecency: compiler.getFrecency(),
             frequencyChecks: compiler.frequencyChecks,
+            lastUse: compiler.lastUse,
             pinned: compiler.pinned,
+            // How many requests are waiting for the current build to finish
+            waitingRequests: compiler.callbacks.length,
+            // How much memory the process gained (in MB) while this compiler ran its
+            // first build. Other compilers building at the same time will muddy this,
+            // so it's only a rough idea of how heavy a config is.
+            approximateMemoryUsage: compiler.memoryDelta && {
+                heapUsed: toMegabytes(compiler.memoryDelta.heapUsed),
+                rss: toMegabytes(compiler.memoryDelta.rss),
+            },
         };
     }
 
+    /**
+     * Given a request path, find the active compiler whose last build emitted the
+     * requested file. This is how we figure out who owns chunks, stylesheets, source
+     * maps and anything else that isn't an entrypoint.
+     * @param {string} reqPath - a request path (i.e. from express's req.path)
+     * @returns {string?} name of the compiler that emitted the asset, if there is one
+     */
+    getCompilerNameForEmittedAsset(reqPath) {
+        const owner = Object.values(this.activeCompilers).find((compiler) =>
+            compiler.hasEmittedAsset(getOutputFilename(compiler.compiler, reqPath))
+        );
+        return owner ? owner.name : null;
+    }
+
+    /**
+     * Given a request path, find the active compiler whose last build emitted the
+     * requested file as one of its entrypoints.
+     * @param {string} reqPath - a request path (i.e. from express's req.path)
+     * @returns {{ compilerName: string, entryName: string }?}
+     */
+    getEntrypointForEmittedAsset(reqPath) {
+        for (const compiler of Object.values(this.activeCompilers)) {
+            const entryName = compiler.getEntrypointForFile(
+                getOutputFilename(compiler.compiler, reqPath)
+            );
+            if (entryName) {
+                return { compilerName: compiler.name, entryName };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} name - compiler's name
+     * @param {string} entryName
+     * @returns {string?} the file the entrypoint was emitted as in the compiler's last
+     *      build, relative to its output directory
+     */
+    getEntrypointFileForCompiler(name, entryName) {
+        if (!this.isCompilerActive(name)) {
+            return null;
+        }
+        return this.activeCompilers[name].getEntrypointFile(entryName);
+    }
+
+    /**
+     * Get the errors from a compiler's last build, formatted for display.
+     * @param {string} name - compiler's name
+     * @returns {Array<Object>}
+     */
+    getErrorDetailsForCompiler(name) {
+        if (!this.isCompilerActive(name)) {
+            this.log.error(`Tried to get errors for non-active compiler ${name}`);
+            return [];
+        }
+        return this.activeCompilers[name].getCurrentErrorDetails();
+    }
+
+    /**
+     * Get the warnings from a compiler's last build, formatted for display.
+     * @param {string} name - compiler's name
+     * @returns {Array<Object>}
+     */
+    getWarningsForCompiler(name) {
+        if (!this.isCompilerActive(name)) {
+            this.log.error(`Tried to get warnings for non-active compiler ${name}`);
+            return [];
+        }
+        return this.activeCompilers[name].getCurrentWarnings();
+    }
+
+    /**
+     * Get the names of the assets whose contents changed in a compiler's last build.
+     * @param {string} name - compiler's name
+     * @returns {Array<string>}
+     */
+    getChangedAssetsForCompiler(name) {
+        if (!this.isCompilerActive(name)) {
+            return [];
+        }
+        return this.activeCompilers[name].getChangedAssets();
+    }
+
+    /**
+     * Get an asset from a compiler's last successful build.
+     * @param {string} name - compiler's name
+     * @param {string} filename - the asset's name, relative to the output directory
+     * @returns {Buffer|null} - the asset's contents, or null if the compiler isn't
+     *      holding on to it
+     */
+    getLastGoodAsset(name, filename) {
+        if (!this.isCompilerActive(name)) {
+            return null;
+        }
+        return this.activeCompilers[name].getLastGoodAsset(filename);
+    }
+
+    /**
+     * Find the file an entrypoint was emitted as in a compiler's last successful build.
+     * @param {string} name - compiler's name
+     * @param {string} entryName
+     * @returns {string|null} - relative to the output directory, or null if the
+     *      compiler isn't holding on to a good build
+     */
+    getLastGoodEntrypointFile(name, entryName) {
+        if (!this.isCompilerActive(name)) {
+            return null;
+        }
+        return this.activeCompilers[name].getLastGoodEntrypointFile(entryName);
+    }
+
+    /**
+     * Get the hash of a compiler's last successful build.
+     * @param {string} name - compiler's name
+     * @returns {string|null}
+     */
+    getLastGoodHashForCompiler(name) {
+        if (!this.isCompilerActive(name)) {
+            return null;
+        }
+        return this.activeCompilers[name].getLastGoodHash();
+    }
+
+    /**
+     * Get the hash of a compiler's last build.
+     * @param {string} name - compiler's name
+     * @returns {string|null}
+     */
+    getLastHashForCompiler(name) {
+        if (!this.isCompilerActive(name)) {
+            return null;
+        }
+        return this.activeCompilers[name].getLastHash();
+    }
+
     /**
      * Gets memory stats for the current process. Essentially wraps
      * process.memoryUsage(), but formats the values as megabytes with
@@ -181,33 +445,128 @@ class CompilerManager {
      * @return {Object} a key/value mapping of metrics and their values
      */
     getHumanReadableMemoryUsage() {
+        const result = {};
+        const usage = this.getMemoryUsageInMB();
+        for (const key in usage) {
+            result[key] = `${usage[key]} MB`;
+        }
+        return result;
+    }
+
+    /**
+     * Gets memory stats for the current process, in megabytes.
+     * @return {Object} a key/value mapping of metrics and their values
+     */
+    getMemoryUsageInMB() {
         const result = {};
         const usage = process.memoryUsage();
         for (const key in usage) {
-            const usageString = Math.round((usage[key] / 1024 / 1024) * 100) / 100;
-            result[key] = `${usageString} MB`;
+            result[key] = toMegabytes(usage[key]);
         }
         return result;
     }
 
     /**
-     * Sorts compilers by their frequency and returns the one that's used the least, or
-     * null if there are no compilers.
+     * @returns {string} name of the eviction strategy in use, or "custom" if it's a
+     *      function.
+     */
+    getEvictionStrategyName() {
+        return typeof this.evictionStrategy === "function"
+            ? "custom"
+            : this.evictionStrategy;
+    }
+
+    /**
+     * Ranks the compilers that can be evicted (i.e. aren't pinned) using our eviction
+     * strategy, with the compiler we'd evict first at the front. Custom strategies only
+     * pick a single compiler, so their ranking only has the one name in it.
+     * @returns {Array<string>} names of compilers, in the order we'd evict them
+     */
+    getEvictionRanking() {
+        const candidates = Object.values(this.activeCompilers)
+            .filter((compiler) => !compiler.pinned)
+            .map(({ name }) => ({ name, ...this.getInfoForCompiler(name) }));
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        if (typeof this.evictionStrategy === "function") {
+            let name;
+            try {
+                name = this.evictionStrategy(candidates);
+            } catch (err) {
+                this.log.error(
+                    `The eviction strategy threw an error: ${err.message}. ` +
+                        `Falling back to frecency.`
+                );
+                return evictionStrategies.frecency(candidates).map(({ name }) => name);
+            }
+            if (candidates.some((candidate) => candidate.name === name)) {
+                return [name];
+            }
+            this.log.error(
+                `The eviction strategy picked ${name}, which isn't a compiler that can ` +
+                    `be evicted. Falling back to frecency.`
+            );
+            return evictionStrategies.frecency(candidates).map(({ name }) => name);
+        }
+
+        return evictionStrategies[this.evictionStrategy](candidates).map(
+            ({ name }) => name
+        );
+    }
+
+    /**
+     * Uses our eviction strategy to find the compiler we'd evict first, or null if there
+     * are no compilers that can be evicted (pinned compilers can't be).
      * @returns {string?} name of least used compiler, if there are any
      */
     getLeastUsedCompiler() {
-        if (this.countActiveCompilers() === 0) {
-            return null;
-        }
+        return this.getEvictionRanking()[0] || null;
+    }
+
+    /**
+     * Finds compilers that nobody has used in a while. Pinned compilers are never idle,
+     * and neither are compilers with requests waiting on them.
+     * @param {number} idleTimeoutMs - how long a compiler can go unused
+     * @returns {Array<string>} names of idle compilers
+     */
+    getIdleCompilers(idleTimeoutMs) {
+        const cutoff = Date.now() - idleTimeoutMs;
         return Object.values(this.activeCompilers)
-            .filter((compiler) => !compiler.pinned)
-            .sort((c1, c2) => {
-                if (this.useFrequency) {
-                    return c2.getFrequency() < c1.getFrequency();
-                } else {
-                    return c2.getFrecency() < c1.getFrecency();
-                }
-            })[0].name;
+            .filter(
+                (compiler) =>
+                    !compiler.pinned &&
+                    compiler.callbacks.length === 0 &&
+                    compiler.lastUse < cutoff
+            )
+            .map(({ name }) => name);
+    }
+
+    /**
+     * Periodically checks for compilers that haven't been used in idleTimeoutMinutes,
+     * and hands each of them to the given callback to be closed.
+     * @param {number} idleTimeoutMinutes - how long a compiler can go unused
+     * @param {function} closeIdleCompiler - called with the name of each idle compiler
+     */
+    startIdleChecks(idleTimeoutMinutes, closeIdleCompiler) {
+        this.stopIdleChecks();
+        const idleTimeoutMs = idleTimeoutMinutes * MS_PER_MINUTE;
+        this.idleCheckInterval = setInterval(() => {
+            this.getIdleCompilers(idleTimeoutMs).forEach((name) =>
+                closeIdleCompiler(name)
+            );
+        }, Math.min(idleTimeoutMs, MS_PER_MINUTE));
+        // Checking on compilers shouldn't keep the process alive
+        this.idleCheckInterval.unref();
+    }
+
+    /**
+     * Stops checking for idle compilers.
+     */
+    stopIdleChecks() {
+        clearInterval(this.idleCheckInterval);
+        this.idleCheckInterval = null;
     }
 
     /**
@@ -218,7 +577,7 @@ class CompilerManager {
      */
     invalidateCompiler(name) {
         if (!this.isCompilerActive(name)) {
-            logError(
+            this.log.error(
                 `Tried to invalidate compiler ${name}, but it's not being managed`
             );
             return false;
@@ -235,7 +594,9 @@ class CompilerManager {
      */
     getWebpackCompiler(name) {
         if (!this.isCompilerActive(name)) {
-            logError(`Tried to find compiler ${name}, but it's not being managed`);
+            this.log.error(
+                `Tried to find compiler ${name}, but it's not being managed`
+            );
             return null;
         }
         return this.activeCompilers[name].compiler;
@@ -250,17 +611,39 @@ class CompilerManager {
      */
     closeCompiler(name) {
         if (!this.isCompilerActive(name)) {
-            logError(`Tried to close compiler ${name}, but it's not being managed`);
+            this.log.error(
+                `Tried to close compiler ${name}, but it's not being managed`
+            );
             return Promise.resolve(null);
         }
         return new Promise((resolve, reject) => {
             const compiler = this.activeCompilers[name];
             compiler.watching.close(() => {
                 delete this.activeCompilers[name];
+                this.hooks.compilerRemoved.call(name);
                 resolve(name);
             });
         });
     }
+
+    /**
+     * Closes every compiler we're managing, in parallel. Any requests still waiting on a
+     * build are rejected first, since they're never going to be fulfilled.
+     * @return {Promise<Array<string>>} - resolves to the names of the closed compilers
+     *      once every one of them has stopped watching.
+     */
+    closeAll() {
+        this.stopIdleChecks();
+        const names = Object.keys(this.activeCompilers);
+        names.forEach((name) => {
+            this.activeCompilers[name].rejectCallbacks(
+                new Error(
+                    `The server is shutting down, so "${name}" won't finish this build.`
+                )
+            );
+        });
+        return Promise.all(names.map((name) => this.closeCompiler(name)));
+    }
 }
 
 module.exports = CompilerManager;
@@ -0,0 +1,85 @@
+/**
+ * This class manages a stream of Server-Sent Events, so that browsers can hear about
+ * what Kevin's compilers are up to as it happens instead of polling for it.
+ * https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events
+ */
+
+// Proxies like to close connections that have been quiet for a while
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Starts streaming events to the given response. The response is kept open until the
+     * client goes away or the stream is closed.
+     * @param {object} res - Express response object
+     * @param {function} filter - given each event's name and data; only events it
+     *      returns true for are sent to this client.
+     */
+    addClient(res, filter = () => true) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream; charset=UTF-8",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+            // Keeps nginx from buffering the stream
+            "X-Accel-Buffering": "no",
+        });
+        res.write(": connected to kevin\n\n");
+
+        const client = { res, filter };
+        this.clients.add(client);
+        // The response only closes early if the client went away
+        res.on("close", () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+        this.startHeartbeat();
+    }
+
+    /**
+     * Sends an event to every client that's interested in it.
+     * @param {string} event - the event's name
+     * @param {object} data - anything that can be serialized as JSON
+     */
+    send(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach(({ res, filter }) => {
+            if (filter(event, data)) {
+                res.write(message);
+            }
+        });
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) {
+            return;
+        }
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(({ res }) => res.write(": heartbeat\n\n"));
+        }, HEARTBEAT_INTERVAL);
+        // The heartbeat shouldn't keep the process alive
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    /**
+     * Ends every open stream.
+     */
+    close() {
+        this.stopHeartbeat();
+        this.clients.forEach(({ res }) => res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
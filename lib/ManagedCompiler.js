@@ -4,17 +4,49 @@
  */
 
 // These are the states that a compiler can be in.
-const { PLUGIN_NAME, FIRST_BUILD, BUILDING, ERROR, DONE } = require("./constants");
-const { logError } = require("./logger");
+const {
+    PLUGIN_NAME,
+    FIRST_BUILD,
+    BUILDING,
+    ERROR,
+    DONE,
+    MS_PER_MINUTE,
+} = require("./constants");
+const crypto = require("crypto");
+const { SyncHook } = require("tapable");
+const { defaultLogger } = require("./logger");
+const { getErrorDetails } = require("./utils");
 
 // This is the number of minutes to consider when determining
 // frequency. If the range is 10, frequency is calculated as the
 // number of requests per minute on average for the last 10 minutes.
-const MS_PER_MINUTE = 60 * 1000;
 const FREQUENCY_RANGE = 60;
 
 class ManagedCompiler {
-    constructor(name, compiler, watching, status, pinned = false) {
+    /**
+     * @param {string} name - the config's name
+     * @param {Compiler} compiler - the webpack compiler
+     * @param {Watching} watching - the compiler's Watching instance
+     * @param {string} status - the compiler's initial status
+     * @param {boolean} pinned - true if the compiler should never be evicted
+     * @param {boolean} $5.retainLastGoodBuild - if true, hold on to the contents of
+     *      every asset from the last successful build
+     * @param {boolean} $5.trackChangedAssets - if true, hash every asset webpack writes,
+     *      so we know which ones changed in each build (see getChangedAssets)
+     * @param {object} $5.logger - where to log, see logger.createLogger
+     */
+    constructor(
+        name,
+        compiler,
+        watching,
+        status,
+        pinned = false,
+        {
+            retainLastGoodBuild = false,
+            trackChangedAssets = false,
+            logger = defaultLogger,
+        } = {}
+    ) {
         if (typeof name !== "string") {
             throw "ManagedCompiler must be initialized with a string name.";
         }
@@ -23,7 +55,13 @@ class ManagedCompiler {
             throw "ManagedCompiler needs a reference to a compiler and its Watching instance.";
         }
 
+        this.hooks = {
+            // Called whenever the status changes, or when a build errors again
+            statusChange: new SyncHook(["status", "previousStatus"]),
+        };
+
         // external params
+        this.log = logger;
         this.name = name;
         this.compiler = compiler;
         this.watching = watching;
@@ -35,9 +73,32 @@ class ManagedCompiler {
         this.numberOfUses = 0;
         this.lastUse = Date.now();
         this.lastErrors = [];
+        this.lastErrorDetails = [];
+        this.lastWarnings = [];
+        // webpack's hash for the last build, so clients can tell whether it changed
+        this.lastHash = null;
+        // names of every asset (entrypoints, chunks, css, source maps, etc) emitted by
+        // the last build, relative to the output directory
+        this.emittedAssets = new Set();
+        // maps entrypoint names to the javascript file each one ended up in last build,
+        // since hashes in their filenames aren't known until then
+        this.entrypointFiles = new Map();
+        this.changedAssets = [];
+        // hashes of the contents of every asset, so we can tell which ones changed
+        this.assetHashes = new Map();
+        this.pendingChangedAssets = new Set();
+        // how much memory the process gained over this compiler's first build
+        this.memoryAtStart = process.memoryUsage();
+        this.memoryDelta = null;
 
         this.pinned = !!pinned;
 
+        // the contents of every asset from the last build without errors, and its hash
+        this.retainLastGoodBuild = retainLastGoodBuild;
+        this.trackChangedAssets = trackChangedAssets;
+        this.lastGoodBuild = null;
+        this.pendingGoodBuild = null;
+
         this.addCompilationHooks(compiler);
     }
 
@@ -54,6 +115,20 @@ class ManagedCompiler {
         compiler.hooks.watchRun.tap(PLUGIN_NAME, () => {
             this.newCompilationHandler();
         });
+        // This hook fires right before assets are written to the output filesystem,
+        // which is the last chance we get to read them from the compilation.
+        if (this.retainLastGoodBuild) {
+            compiler.hooks.emit.tap(PLUGIN_NAME, (compilation) => {
+                this.emitHandler(compilation);
+            });
+        }
+        // This hook fires for every asset written to the output filesystem. Hashing
+        // all of them isn't free, so we only do it if someone wants to know.
+        if (this.trackChangedAssets) {
+            compiler.hooks.assetEmitted.tap(PLUGIN_NAME, (filename, { content }) => {
+                this.assetEmittedHandler(filename, content);
+            });
+        }
         // This hook indicates that the compilation is done, and any
         // outstanding requests should be resolved.
         compiler.hooks.done.tap(PLUGIN_NAME, (stats, hookCallback) => {
@@ -77,14 +152,52 @@ class ManagedCompiler {
         }
     }
 
+    /**
+     * Holds on to the contents of every asset a build is about to write, unless the build
+     * failed. They become the last good build once the build is done.
+     * @param {Compilation} compilation
+     */
+    emitHandler(compilation) {
+        this.pendingGoodBuild =
+            compilation.errors.length > 0
+                ? null
+                : new Map(
+                      compilation
+                          .getAssets()
+                          .map(({ name, source }) => [name, source.buffer()])
+                  );
+    }
+
     finishedCompilationHandler(stats) {
+        this.lastHash = stats.hash;
+        this.recordMemoryDelta();
+        this.setEmittedAssets(stats);
+        this.setEntrypointFiles(stats);
+        if (this.pendingGoodBuild && !stats.hasErrors()) {
+            this.lastGoodBuild = {
+                hash: stats.hash,
+                assets: this.pendingGoodBuild,
+                entrypointFiles: this.entrypointFiles,
+            };
+        }
+        this.pendingGoodBuild = null;
+        this.setCurrentWarnings(
+            stats.hasWarnings()
+                ? stats.toJson({ all: false, warnings: true }).warnings
+                : []
+        );
         // TODO: If we have errors from this build, we should expose them
         // to the callback, so that it can tell the user that something broke,
         // check the console, etc.
         if (stats.hasErrors()) {
             const errors = stats.compilation.errors;
-            this.setStatus(ERROR, errors);
-            errors.forEach(logError);
+            // The stats know which module each error came from, and where in it
+            this.setStatus(
+                ERROR,
+                errors,
+                stats.toJson({ all: false, errors: true }).errors.map(getErrorDetails)
+            );
+            errors.forEach((err) => this.log.error(err));
             this.rejectCallbacks(errors);
         } else {
             this.setStatus(DONE);
@@ -93,6 +206,7 @@ class ManagedCompiler {
     }
 
     failedCompilation(error) {
+        this.recordMemoryDelta();
         this.setStatus(ERROR, [error]);
         this.rejectCallbacks(error);
     }
@@ -112,8 +226,10 @@ class ManagedCompiler {
      * errors don't need to be persisted across state changes.
      * @param {string} status - either "first-build","building","error", or "done"
      * @param {Error|Array} errors - a list of errors to set.
+     * @param {Array<Object>} errorDetails - the errors, formatted for display. Derived
+     *      from the errors themselves if not provided.
      */
-    setStatus(status, errors = []) {
+    setStatus(status, errors = [], errorDetails = null) {
         errors = [].concat(errors).filter((error) => !!error);
         const statuses = [FIRST_BUILD, BUILDING, ERROR, DONE];
         if (!statuses.includes(status)) {
@@ -123,35 +239,219 @@ class ManagedCompiler {
         }
 
         if (status === ERROR && errors.length === 0) {
-            logError(
+            this.log.error(
                 `Compiler for "${this.name}" was set to an ERROR state, but no error details were provided.`
             );
         }
+        const previousStatus = this.status;
         this.status = status;
-        this.setCurrentErrors(errors);
+        this.setCurrentErrors(errors, errorDetails);
+        if (status !== previousStatus || status === ERROR) {
+            this.hooks.statusChange.call(status, previousStatus);
+        }
     }
 
     /**
      * Sets the list of errors from the previous build
      * @param {Array<Error>} errors
+     * @param {Array<Object>} errorDetails - optional; see getCurrentErrorDetails
      */
-    setCurrentErrors(errors) {
+    setCurrentErrors(errors, errorDetails = null) {
         this.lastErrors = errors.map((err) => err.stack);
+        this.lastErrorDetails = errorDetails || errors.map(getErrorDetails);
     }
 
     getCurrentErrors() {
         return this.lastErrors;
     }
 
+    /**
+     * @return {Array<Object>} - errors from the previous build, formatted for display
+     *      (see utils.getErrorDetails)
+     */
+    getCurrentErrorDetails() {
+        return this.lastErrorDetails;
+    }
+
+    /**
+     * Sets the list of warnings from the previous build. Unlike errors, warnings don't
+     * change the compiler's status.
+     * @param {Array<Object>} warnings - warnings from webpack's stats
+     */
+    setCurrentWarnings(warnings) {
+        this.lastWarnings = warnings.map(getErrorDetails);
+    }
+
+    /**
+     * @return {Array<Object>} - warnings from the previous build, formatted for display
+     *      (see utils.getErrorDetails)
+     */
+    getCurrentWarnings() {
+        return this.lastWarnings;
+    }
+
+    /**
+     * @param {string} filename - an asset name, relative to the output directory
+     * @return {Buffer|null} - the asset's contents from the last successful build, if
+     *      we're holding on to them
+     */
+    getLastGoodAsset(filename) {
+        return (this.lastGoodBuild && this.lastGoodBuild.assets.get(filename)) || null;
+    }
+
+    /**
+     * @param {string} entryName
+     * @return {string|null} - the file the entrypoint was emitted as in the last
+     *      successful build we're holding on to
+     */
+    getLastGoodEntrypointFile(entryName) {
+        return (
+            (this.lastGoodBuild && this.lastGoodBuild.entrypointFiles.get(entryName)) ||
+            null
+        );
+    }
+
+    /**
+     * @return {string|null} - the hash of the last successful build we're holding on to
+     */
+    getLastGoodHash() {
+        return this.lastGoodBuild && this.lastGoodBuild.hash;
+    }
+
+    /**
+     * @return {string|null} - the hash of the last build, or null if it hasn't finished
+     */
+    getLastHash() {
+        return this.lastHash;
+    }
+
+    /**
+     * Records how much memory the process has gained since this compiler started. This
+     * only happens once, at the end of the first build, since that's when a compiler
+     * allocates most of what it'll hold on to.
+     */
+    recordMemoryDelta() {
+        if (this.memoryDelta) {
+            return;
+        }
+        const { heapUsed, rss } = process.memoryUsage();
+        this.memoryDelta = {
+            heapUsed: heapUsed - this.memoryAtStart.heapUsed,
+            rss: rss - this.memoryAtStart.rss,
+        };
+    }
+
+    /**
+     * Keeps track of every asset that the given build produced, so that we know which
+     * compiler to go to when someone asks for something that isn't an entrypoint.
+     * @param {Stats} stats - the stats object passed to the `done` hook
+     */
+    setEmittedAssets(stats) {
+        this.emittedAssets = new Set(Object.keys(stats.compilation.assets));
+        this.changedAssets = Array.from(this.pendingChangedAssets).filter((name) =>
+            this.emittedAssets.has(name)
+        );
+        this.pendingChangedAssets = new Set();
+    }
+
+    /**
+     * Keeps track of the file each entrypoint's chunk was emitted as, so that requests
+     * for entrypoints with hashes in their filenames can be matched up with them.
+     * @param {Stats} stats - the stats object passed to the `done` hook
+     */
+    setEntrypointFiles(stats) {
+        this.entrypointFiles = new Map();
+        const { entrypoints } = stats.compilation;
+        if (!entrypoints) {
+            return;
+        }
+        entrypoints.forEach((entrypoint, entryName) => {
+            const files = Array.from(entrypoint.getEntrypointChunk().files);
+            // The chunk's other files may be css or source maps
+            const file = files.find((name) => /\.[cm]?js$/.test(name));
+            if (file && this.emittedAssets.has(file)) {
+                this.entrypointFiles.set(entryName, file);
+            }
+        });
+    }
+
+    /**
+     * Notes whether an asset webpack just wrote is any different from the last time it
+     * was written. webpack writes every asset it had to render again, even when its
+     * contents come out the same, so we have to compare them ourselves.
+     * @param {string} filename - an asset name, relative to the output directory
+     * @param {Buffer} content - what was written
+     */
+    assetEmittedHandler(filename, content) {
+        const hash = crypto.createHash("md5").update(content).digest("hex");
+        if (hash !== this.assetHashes.get(filename)) {
+            this.pendingChangedAssets.add(filename);
+        }
+        this.assetHashes.set(filename, hash);
+    }
+
+    /**
+     * @returns {Array<string>} - names of the assets whose contents changed in the last
+     *      build, relative to the output directory
+     */
+    getChangedAssets() {
+        return this.changedAssets;
+    }
+
+    /**
+     * @param {string} filename - an asset name, relative to the output directory
+     * @returns {boolean} true if the last build of this compiler produced the asset
+     */
+    hasEmittedAsset(filename) {
+        return this.emittedAssets.has(filename);
+    }
+
+    /**
+     * @param {string} entryName
+     * @returns {string|null} the file the entrypoint was emitted as in the last build,
+     *      relative to the output directory
+     */
+    getEntrypointFile(entryName) {
+        return this.entrypointFiles.get(entryName) || null;
+    }
+
+    /**
+     * @param {string} filename - an asset name, relative to the output directory
+     * @returns {string|null} the name of the entrypoint the last build emitted as that
+     *      file, if there is one
+     */
+    getEntrypointForFile(filename) {
+        for (const [entryName, file] of this.entrypointFiles) {
+            if (file === filename) {
+                return entryName;
+            }
+        }
+        return null;
+    }
+
     addCallback(deferred) {
         if (!deferred.resolve || !deferred.reject) {
-            logError(
+            this.log.error(
                 `Compiler for "${this.name}" received a poorly formatted callback`
             );
         }
         this.callbacks.push(deferred);
     }
 
+    /**
+     * Forgets about a callback without calling it, i.e. because its request gave up.
+     * @param {object} deferred - the same object that was passed to addCallback
+     * @returns {boolean} - true if the callback was still waiting
+     */
+    removeCallback(deferred) {
+        const index = this.callbacks.indexOf(deferred);
+        if (index === -1) {
+            return false;
+        }
+        this.callbacks.splice(index, 1);
+        return true;
+    }
+
     clearCallbacks() {
         this.callbacks = [];
         return;
@@ -171,6 +471,14 @@ class ManagedCompiler {
         this.clearCallbacks();
     }
 
+    /**
+     * Pinned compilers are never evicted, and their usage isn't tracked.
+     * @param {boolean} pinned
+     */
+    setPinned(pinned) {
+        this.pinned = !!pinned;
+    }
+
     /**
      * When this method is called, it indicates that this compiler has been used
      * or accessed. This call is used to calculate the frequency with which this
@@ -34,6 +34,43 @@ class PublicConfigManager {
         return this.manager.closeCompiler(name);
     }
 
+    /**
+     * Shuts Kevin down by closing every compiler it's running.
+     * @return {Promise<Array<string>>} - resolves to the names of the closed compilers
+     *      once all of them have stopped.
+     */
+    closeAll() {
+        return this.kevin.close();
+    }
+
+    /**
+     * Pins a config, so that its compiler is never evicted.
+     * @param {string} configName
+     * @returns {bool} - true if the config was pinned, false if it doesn't exist
+     */
+    pin(configName) {
+        return this.kevin.pinConfig(configName);
+    }
+
+    /**
+     * Unpins a config, so that its compiler can be evicted again.
+     * @param {string} configName
+     * @returns {bool} - true if the config was unpinned, false if it doesn't exist
+     */
+    unpin(configName) {
+        return this.kevin.unpinConfig(configName);
+    }
+
+    /**
+     * Calls the `entry` function of every config that has one, so that Kevin knows
+     * about their new entrypoints (i.e. when a file watcher sees a new page).
+     * @returns {Promise<Object>} - resolves to the new map of entrypoints to the names
+     *      of the configs that build them
+     */
+    refreshEntries() {
+        return this.kevin.refreshEntryMap();
+    }
+
     /**
      * @param {string} name - compiler's name
      * @returns {bool}
@@ -9,7 +9,8 @@ module.exports = (
     configName,
     kevinStatusUrl,
     additionalInfo,
-    perfMarkerPrefix = ""
+    perfMarkerPrefix = "",
+    kevinEventsUrl = null
 ) => {
     return `
 /**
@@ -83,7 +84,7 @@ if (!isIframe() && !window.__KEVIN_CHECKS_ON_BUILDS) {
         }
     }, 100);
 
-    // This gets attached to the XHR in the setInterval below
+    // This gets attached to the XHRs in checkBuildStatus below
     var loadListener = function() {
         var data = JSON.parse(this.response);
         console.log("Kevin middleware compilation status:", data);
@@ -117,6 +118,9 @@ if (!isIframe() && !window.__KEVIN_CHECKS_ON_BUILDS) {
 
         if (doneBuilding) {
             clearInterval(window.__KEVIN_CHECKS_ON_BUILDS);
+            if (window.__KEVIN_EVENT_SOURCE) {
+                window.__KEVIN_EVENT_SOURCE.close();
+            }
             performance.mark("${perfMarkerPrefix}kevin-overlay-end");
             performance.measure("${perfMarkerPrefix}kevin-overlay", "${perfMarkerPrefix}kevin-overlay-start", "${perfMarkerPrefix}kevin-overlay-end");
             //Ensure that current event loop completes before reloading page
@@ -128,12 +132,42 @@ if (!isIframe() && !window.__KEVIN_CHECKS_ON_BUILDS) {
 
     }
     // This checks in with Kevin to see if the builds are all done
-	window.__KEVIN_CHECKS_ON_BUILDS = setInterval(function() {
+    function checkBuildStatus() {
         var xhr = new XMLHttpRequest();
         xhr.addEventListener("load", loadListener);
         xhr.open("GET", "${kevinStatusUrl}");
         xhr.send();
-	}, 1000);
+    }
+
+    // Check every second, for browsers (or servers) that can't stream events to us
+    function pollBuildStatus() {
+        clearInterval(window.__KEVIN_CHECKS_ON_BUILDS);
+        window.__KEVIN_CHECKS_ON_BUILDS = setInterval(checkBuildStatus, 1000);
+    }
+${
+    kevinEventsUrl
+        ? `
+    if (window.EventSource) {
+        // Kevin tells us as soon as a compiler's status changes, so we only check the
+        // build statuses when something happened. We also check once we're connected,
+        // in case a build finished before then.
+        var eventSource = new EventSource("${kevinEventsUrl}");
+        window.__KEVIN_EVENT_SOURCE = eventSource;
+        window.__KEVIN_CHECKS_ON_BUILDS = true;
+        eventSource.addEventListener("open", checkBuildStatus);
+        eventSource.addEventListener("status", checkBuildStatus);
+        eventSource.addEventListener("error", function() {
+            // The browser reconnects on its own unless the stream is gone for good
+            if (eventSource.readyState === EventSource.CLOSED) {
+                pollBuildStatus();
+            }
+        });
+    } else {
+        pollBuildStatus();
+    }`
+        : `
+    pollBuildStatus();`
+}
 } `
             : ""
     }
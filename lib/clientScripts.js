@@ -0,0 +1,119 @@
+/**
+ * These are little scripts that Kevin tacks onto the end of the entrypoints it serves.
+ * They're appended rather than prepended so that source maps still line up, and they
+ * should never block or break the asset they're attached to.
+ */
+
+/**
+ * Logs a summary of a compiler's warnings to the browser console.
+ * @param {string} configName - name of the config that built the asset
+ * @param {Array<Object>} warnings - see utils.getErrorDetails
+ * @returns {string} javascript
+ */
+const warningSummaryScript = (configName, warnings) => `
+;(function() {
+    var warnings = ${JSON.stringify(warnings)};
+    var log = console.groupCollapsed ? console.groupCollapsed : console.warn;
+    log.call(console,
+        ${JSON.stringify(
+            `%cKevin: the "${configName}" compiler reported `
+        )} + warnings.length + " warning(s)",
+        "color: #b7791f; font-weight: bold"
+    );
+    warnings.forEach(function(warning) {
+        console.warn([warning.moduleName, warning.loc].filter(Boolean).join(" ") + "\\n" + warning.message);
+    });
+    if (console.groupEnd) {
+        console.groupEnd();
+    }
+})();
+`;
+
+/**
+ * Lets people know that the asset came from an older build, and why.
+ * @param {string} configName - name of the config that built the asset
+ * @param {boolean} hasErrors - true if the latest build failed, false if it's still going
+ * @returns {string} javascript
+ */
+const staleBuildScript = (configName, hasErrors) => `
+;(function() {
+    console.warn(
+        ${JSON.stringify(
+            `%cKevin: this is the last good build from "${configName}", because ` +
+                (hasErrors
+                    ? "its latest build failed. Fix the errors to see your changes."
+                    : "it's being rebuilt. Reload the page to see your changes.")
+        )},
+        "color: #b7791f; font-weight: bold"
+    );
+})();
+`;
+
+/**
+ * Reloads the page once the compiler that built the asset finishes a new build. If the
+ * only thing that changed is a stylesheet on the page, it's swapped out instead.
+ * @param {string} configName - name of the config that built the asset
+ * @param {string} hash - hash of the build the asset came from
+ * @param {string} kevinEventsUrl - where to find Kevin's event stream
+ * @returns {string} javascript
+ */
+const liveReloadScript = (configName, hash, kevinEventsUrl) => `
+;(function() {
+    var configName = ${JSON.stringify(configName)};
+    var currentHash = ${JSON.stringify(hash)};
+
+    // Every entrypoint from this config gets this script, but we only need to listen once
+    window.__KEVIN_LIVE_RELOAD = window.__KEVIN_LIVE_RELOAD || {};
+    if (!window.EventSource || window.__KEVIN_LIVE_RELOAD[configName]) {
+        return;
+    }
+
+    // Returns true if every changed asset is a stylesheet on this page, once they've
+    // been swapped for their new versions.
+    function swapStylesheets(changedAssets) {
+        var stylesheets = changedAssets.filter(function(asset) {
+            return /\\.css$/.test(asset);
+        });
+        var everythingElse = changedAssets.filter(function(asset) {
+            return !/\\.css(\\.map)?$/.test(asset);
+        });
+        if (stylesheets.length === 0 || everythingElse.length > 0) {
+            return false;
+        }
+        var links = [].slice.call(document.querySelectorAll("link[rel='stylesheet']"));
+        return stylesheets.every(function(asset) {
+            var matchingLinks = links.filter(function(link) {
+                var pathname = new URL(link.href).pathname;
+                return pathname.slice(-asset.length - 1) === "/" + asset;
+            });
+            matchingLinks.forEach(function(link) {
+                var url = new URL(link.href);
+                url.searchParams.set("kevin", currentHash);
+                link.href = url.toString();
+            });
+            return matchingLinks.length > 0;
+        });
+    }
+
+    var events = new EventSource(${JSON.stringify(
+        kevinEventsUrl
+    )} + "?compiler=" + encodeURIComponent(configName));
+    window.__KEVIN_LIVE_RELOAD[configName] = events;
+    events.addEventListener("status", function(event) {
+        var data = JSON.parse(event.data);
+        if (data.status !== "done" || !data.hash || data.hash === currentHash) {
+            return;
+        }
+        currentHash = data.hash;
+        if (swapStylesheets(data.changedAssets || [])) {
+            console.log('Kevin: updated the stylesheets from "' + configName + '".');
+            return;
+        }
+        console.log('Kevin: "' + configName + '" was rebuilt. Reloading the page.');
+        events.close();
+        window.location.reload();
+    });
+})();
+`;
+
+module.exports = { warningSummaryScript, staleBuildScript, liveReloadScript };
@@ -8,6 +8,33 @@ const ERROR = "error";
 const DONE = "done";
 const NOT_BUILT = "not-built";
 
+// Places a compiler can write its output to
+const DISK = "disk";
+const MEMORY = "memory";
+
+// Reasons a compiler may be closed, passed along to the compilerClose hook
+const REASON_CAPACITY = "capacity";
+const REASON_MEMORY = "memory";
+const REASON_IDLE = "idle";
+const REASON_MANUAL = "manual";
+
+// What to do about a compiler when a request times out waiting for it
+const TIMEOUT_ACTION_NONE = "none";
+const TIMEOUT_ACTION_INVALIDATE = "invalidate";
+const TIMEOUT_ACTION_RESTART = "restart";
+
+// The `code` of the error requests get when they time out waiting for a build
+const BUILD_TIMEOUT = "KEVIN_BUILD_TIMEOUT";
+
+// Log levels, from chattiest to quietest. "silent" turns logging off entirely.
+const LOG_LEVELS = ["debug", "info", "notice", "error", "silent"];
+
+// Built-in loggers
+const CONSOLE_LOGGER = "console";
+const JSON_LOGGER = "json";
+
+const MS_PER_MINUTE = 60 * 1000;
+
 module.exports = {
     PLUGIN_NAME,
 
@@ -16,4 +43,24 @@ module.exports = {
     ERROR,
     DONE,
     NOT_BUILT,
+
+    DISK,
+    MEMORY,
+
+    REASON_CAPACITY,
+    REASON_MEMORY,
+    REASON_IDLE,
+    REASON_MANUAL,
+
+    TIMEOUT_ACTION_NONE,
+    TIMEOUT_ACTION_INVALIDATE,
+    TIMEOUT_ACTION_RESTART,
+
+    BUILD_TIMEOUT,
+
+    LOG_LEVELS,
+    CONSOLE_LOGGER,
+    JSON_LOGGER,
+
+    MS_PER_MINUTE,
 };
@@ -0,0 +1,252 @@
+/**
+ * This is the page behind the internal API's /dashboard route. It lists every config
+ * Kevin manages, along with how its compiler is doing, and has buttons for the internal
+ * API's start, stop, restart and pin routes. It's styled like the overlays, and keeps
+ * itself up to date by listening to the event stream (or polling, if it can't).
+ *
+ * Everything the page needs comes from the internal API, which it finds relative to its
+ * own URL, so it works wherever the API is mounted.
+ */
+module.exports = (maxCompilers) => {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Kevin</title>
+<style>
+    body {
+        margin: 0; padding: 50px 30px; background-color: #FBFBFA; color: #222;
+        font-size: 14px; line-height: 20px;
+        font-family: -apple-system, BlinkMacSystemFont, 'avenir next', avenir, 'helvetica neue', helvetica, ubuntu, roboto, noto, 'segoe ui', arial, sans-serif;
+    }
+    pre, code { font-family: Courier New,Courier,Lucida Sans Typewriter,Lucida Typewriter,monospace; }
+    #kevin-dashboard { margin: 0 auto; max-width: 1100px; background-color: #d2dae3; border: 5px solid #1e272e; box-shadow: #1e272e 15px 15px; padding: 24px; }
+    h1 { margin: 0 0 8px; font-size: 2em; line-height: 1.2; }
+    #kevin-summary { margin-bottom: 24px; }
+    #kevin-message { display: none; margin-bottom: 24px; padding: 12px; background-color: #FBFBFA; border-left: 5px solid #c0392b; }
+    table { width: 100%; border-collapse: collapse; background-color: #FBFBFA; }
+    th, td { padding: 8px; text-align: left; vertical-align: top; border-bottom: 1px solid #d2dae3; }
+    th { background-color: #1e272e; color: #FBFBFA; font-weight: bold; }
+    .kevin-status { display: inline-block; padding: 0 6px; border-radius: 2px; color: #FBFBFA; background-color: #7f8c8d; }
+    .kevin-status-done { background-color: #27ae60; }
+    .kevin-status-building, .kevin-status-first-build { background-color: #b7791f; }
+    .kevin-status-error { background-color: #c0392b; }
+    .kevin-errors pre { margin: 8px 0 0; max-height: 200px; overflow: auto; white-space: pre-wrap; }
+    button { margin: 0 4px 4px 0; }
+</style>
+</head>
+<body>
+<div id="kevin-dashboard">
+    <h1>Kevin's compilers</h1>
+    <div id="kevin-summary">Loading...</div>
+    <div id="kevin-message"></div>
+    <table>
+        <thead>
+            <tr>
+                <th>Config</th>
+                <th>Status</th>
+                <th>Frecency</th>
+                <th>Last used</th>
+                <th>Pinned</th>
+                <th>Memory</th>
+                <th>Errors</th>
+                <th></th>
+            </tr>
+        </thead>
+        <tbody id="kevin-compilers"></tbody>
+    </table>
+</div>
+<script>
+(function() {
+
+var maxCompilers = ${JSON.stringify(maxCompilers)};
+var pathname = window.location.pathname;
+var apiUrl = pathname.slice(0, pathname.lastIndexOf("/dashboard"));
+
+// Makes an element. Text is always set as text, so config names and error messages
+// can't turn into markup.
+function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function(key) {
+        node[key] = props[key];
+    });
+    (children || []).forEach(function(child) {
+        node.appendChild(typeof child === "string" ? document.createTextNode(child) : child);
+    });
+    return node;
+}
+
+function showMessage(message) {
+    var node = document.getElementById("kevin-message");
+    node.textContent = message || "";
+    node.style.display = message ? "block" : "none";
+}
+
+function getJson(route) {
+    return fetch(apiUrl + route).then(function(response) {
+        return response.json();
+    });
+}
+
+function timeAgo(timestamp) {
+    var seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) {
+        return seconds + "s ago";
+    }
+    if (seconds < 3600) {
+        return Math.round(seconds / 60) + "m ago";
+    }
+    return Math.round(seconds / 3600) + "h ago";
+}
+
+// Calls one of the internal API's POST routes for a compiler
+function act(route, name, query) {
+    showMessage(null);
+    var url = apiUrl + route + "?compiler=" + encodeURIComponent(name) + (query || "");
+    fetch(url, { method: "POST" })
+        .then(function(response) {
+            if (!response.ok) {
+                return response.json().then(function(body) {
+                    showMessage(body.error);
+                });
+            }
+        })
+        .catch(function(err) {
+            showMessage("Kevin couldn't be reached: " + err.message);
+        })
+        .then(scheduleRefresh);
+}
+
+function button(label, route, name, query) {
+    return el("button", {
+        type: "button",
+        onclick: function() {
+            act(route, name, query);
+        },
+    }, [label]);
+}
+
+function renderCompiler(name, info) {
+    var isActive = info.status !== "not-built";
+    var memory = info.approximateMemoryUsage;
+    var errors = info.errorDetails || [];
+    var actions = isActive
+        ? [
+              button("Restart", "/restart-compiler", name),
+              button("Hard restart", "/restart-compiler", name, "&hard=true"),
+              button("Stop", "/stop-compiler", name),
+          ]
+        : [button("Start", "/start-compiler", name)];
+    actions.push(
+        info.pinned
+            ? button("Unpin", "/unpin-compiler", name)
+            : button("Pin", "/pin-compiler", name)
+    );
+
+    return el("tr", {}, [
+        el("td", {}, [el("strong", {}, [name])]),
+        el("td", {}, [
+            el("span", { className: "kevin-status kevin-status-" + info.status }, [
+                info.status,
+            ]),
+            info.waitingRequests ? " (" + info.waitingRequests + " waiting)" : "",
+        ]),
+        el("td", {}, [isActive ? String(Math.round(info.frecency * 100) / 100) : ""]),
+        el("td", {}, [isActive ? timeAgo(info.lastUse) : ""]),
+        el("td", {}, [info.pinned ? "yes" : "no"]),
+        el("td", {}, [
+            memory ? memory.heapUsed + " MB heap, " + memory.rss + " MB rss" : "",
+        ]),
+        el("td", { className: "kevin-errors" }, errors.length === 0
+            ? [isActive ? "none" : ""]
+            : [
+                  el("details", {}, [
+                      el("summary", {}, [errors.length + " error(s)"]),
+                      el("pre", {}, [
+                          errors.map(function(error) {
+                              return [error.moduleName, error.loc].filter(Boolean).join(" ") +
+                                  "\\n" + error.message;
+                          }).join("\\n\\n"),
+                      ]),
+                  ]),
+              ]),
+        el("td", {}, actions),
+    ]);
+}
+
+function render(info, memory) {
+    var names = Object.keys(info.compilers).sort();
+    var activeCount = names.filter(function(name) {
+        return info.compilers[name].status !== "not-built";
+    }).length;
+    document.getElementById("kevin-summary").textContent =
+        activeCount + " of " + (maxCompilers || "unlimited") + " compilers active. " +
+        "Evicting by " + info.evictionStrategy +
+        (info.leastUsedCompiler ? "; " + info.leastUsedCompiler + " goes next. " : ". ") +
+        "Memory: " + memory.heapUsed + " heap, " + memory.rss + " rss.";
+
+    var tbody = document.getElementById("kevin-compilers");
+    // Keep open error details open across refreshes
+    var openDetails = [].slice.call(tbody.querySelectorAll("details[open]")).map(function(node) {
+        return node.closest("tr").firstChild.textContent;
+    });
+    tbody.textContent = "";
+    names.forEach(function(name) {
+        var row = renderCompiler(name, info.compilers[name]);
+        var details = row.querySelector("details");
+        if (details && openDetails.indexOf(name) !== -1) {
+            details.open = true;
+        }
+        tbody.appendChild(row);
+    });
+}
+
+function refresh() {
+    Promise.all([getJson("/compiler-info"), getJson("/memory-usage")])
+        .then(function(results) {
+            render(results[0], results[1]);
+        })
+        .catch(function(err) {
+            showMessage("Kevin couldn't be reached: " + err.message);
+        });
+}
+
+// Lots of events can show up at once (i.e. when a build finishes), so we wait for them
+// to settle before refreshing.
+var refreshTimeout = null;
+function scheduleRefresh() {
+    clearTimeout(refreshTimeout);
+    refreshTimeout = setTimeout(refresh, 100);
+}
+
+var pollInterval = null;
+function poll() {
+    clearInterval(pollInterval);
+    pollInterval = setInterval(refresh, 2000);
+}
+
+refresh();
+if (window.EventSource) {
+    var events = new EventSource(apiUrl + "/events");
+    ["start", "status", "build-error", "evict"].forEach(function(event) {
+        events.addEventListener(event, scheduleRefresh);
+    });
+    events.addEventListener("open", scheduleRefresh);
+    events.addEventListener("error", function() {
+        // The browser reconnects on its own unless the stream is gone for good
+        if (events.readyState === EventSource.CLOSED) {
+            poll();
+        }
+    });
+} else {
+    poll();
+}
+// "Last used" goes stale even when nothing happens
+setInterval(refresh, 30000);
+
+})();
+</script>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,184 @@
+/**
+ * When a build fails, we kick this file back instead of the asset. It renders every error
+ * from the failed build in an overlay (styled like the one in buildingTemplate), offers
+ * to restart the compiler, and reloads the page once the compiler has a good build again.
+ * Like the building overlay, it keeps track of every config that's failed on the page,
+ * so multiple broken assets end up in the same overlay.
+ */
+
+/**
+ * Turns a value into a javascript literal that's safe to put anywhere in the template,
+ * including comments and inline script tags.
+ * @param {*} value - anything JSON can represent
+ * @returns {string} javascript
+ */
+const toJavascript = (value) =>
+    JSON.stringify(value).replace(/</g, "\\u003c").replace(/\*\//g, "*\\/");
+
+module.exports = (
+    assetName,
+    configName,
+    errors,
+    kevinStatusUrl,
+    kevinRestartUrl,
+    additionalInfo = ""
+) => {
+    return `
+/**
+ * Hi! If you're seeing this, it means Kevin couldn't build this asset because the
+ * ${toJavascript(
+     configName
+ )} compiler ran into errors. The code below shows them in an overlay.
+ */
+
+(function() {
+
+var errors = ${toJavascript(errors)};
+
+console.error(
+    ${toJavascript(`%cThe "${configName}" compiler encountered `)} + errors.length +
+        ${toJavascript(` error(s) while building "${assetName}":`)},
+    "font-weight: bold; font-size: 1.5em"
+);
+errors.forEach(function(error) {
+    console.error([error.moduleName, error.loc].filter(Boolean).join(" ") + "\\n" + error.message);
+});
+
+// Returns true if we're in an iframe.
+function isIframe () {
+    try {
+        return window.self !== window.top;
+    } catch (e) {
+        return true;
+    }
+}
+
+// equivalent to jQuery's $(document).ready()
+function ready(fn) {
+    if (document.attachEvent ? document.readyState === "complete" : document.readyState !== "loading"){
+        fn();
+    } else {
+        document.addEventListener('DOMContentLoaded', fn);
+    }
+}
+
+function escapeHTML(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Keep track of every config that has failed on this page.
+window.__KEVIN_BUILD_ERRORS = window.__KEVIN_BUILD_ERRORS || {};
+window.__KEVIN_BUILD_ERRORS[${toJavascript(configName)}] = errors;
+
+function getHTMLForErrors() {
+    return Object.keys(window.__KEVIN_BUILD_ERRORS).map(function(configName) {
+        var configErrors = window.__KEVIN_BUILD_ERRORS[configName];
+        var retryButton = window.__KEVIN_RETRY_BUILD && window.__KEVIN_RETRY_BUILD[configName]
+            ? " <button data-kevin-retry='" + escapeHTML(configName) + "'>Retry the build</button>"
+            : "";
+        return "<h4>" + escapeHTML(configName) + " (" + configErrors.length + ")" + retryButton + "</h4>" +
+            configErrors.map(function(error) {
+                var location = [error.moduleName, error.loc].filter(Boolean).join(" ");
+                return (location ? "<strong>" + escapeHTML(location) + "</strong>" : "") +
+                    "<pre>" + escapeHTML(error.message) + "</pre>";
+            }).join("");
+    }).join("");
+}
+
+    ${
+        kevinRestartUrl
+            ? `
+// Asks Kevin to rebuild the config, in case the error was a fluke.
+window.__KEVIN_RETRY_BUILD = window.__KEVIN_RETRY_BUILD || {};
+window.__KEVIN_RETRY_BUILD[${toJavascript(configName)}] = function(button) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", ${toJavascript(kevinRestartUrl)});
+    xhr.send();
+    button.outerHTML = "<strong>Rebuilding... this page will reload if it works out.</strong>";
+};`
+            : ""
+    }
+
+    ${
+        kevinStatusUrl
+            ? `
+// Keep checking until the config has a good build, and then reload. Don't start a
+// listener in an iframe because there may be a listener in the parent window as well.
+if (!isIframe() && !window.__KEVIN_CHECKS_ON_ERRORS) {
+    window.__KEVIN_CHECKS_ON_ERRORS = setInterval(function() {
+        var xhr = new XMLHttpRequest();
+        xhr.addEventListener("load", function() {
+            var data = JSON.parse(this.response);
+            var fixed = Object.keys(window.__KEVIN_BUILD_ERRORS).some(function(config) {
+                return data[config] === "done";
+            });
+            if (fixed) {
+                clearInterval(window.__KEVIN_CHECKS_ON_ERRORS);
+                window.location.reload(true);
+            }
+        });
+        xhr.open("GET", ${toJavascript(kevinStatusUrl)});
+        xhr.send();
+    }, 1000);
+}`
+            : ""
+    }
+
+// Another horrible inline style tag, matching the building overlay.
+var styleContents = "#kevin-error-overlay, #kevin-error-overlay div, #kevin-error-overlay pre, #kevin-error-overlay strong, #kevin-error-overlay h3, #kevin-error-overlay h4 {" +
+        "font-size: 14px; line-height: 20px; margin: 0; padding: 0; color: #222; background-color: unset; text-align: left;" +
+        "font-family: -apple-system, BlinkMacSystemFont, 'avenir next', avenir, 'helvetica neue', helvetica, ubuntu, roboto, noto, 'segoe ui', arial, sans-serif;" +
+    "}" +
+    "#kevin-error-overlay { position: fixed; left: 0; right: 0; top: 0; margin: 50px auto 30px; max-width: 800px; max-height: calc(100vh - 80px); overflow: auto; box-sizing: border-box; background-color: #f3d4d1; border: 5px solid #1e272e; box-shadow: #1e272e 15px 15px; z-index: 99999; padding: 48px 24px 24px; }" +
+    "#kevin-error-overlay h3 { margin-bottom: 24px; font-size: 2em; font-weight: bold; }" +
+    "#kevin-error-overlay h4 { margin: 24px 0 12px; font-size: 1.2em; font-weight: bold; }" +
+    "#kevin-error-overlay strong { font-weight: bold; }" +
+    "#kevin-error-overlay .kevin-close { position: absolute; top: 10px; right: 10px; }" +
+    "#kevin-error-overlay pre, #kevin-error-overlay code { font-family: Courier New,Courier,Lucida Sans Typewriter,Lucida Typewriter,monospace; }" +
+    "#kevin-error-overlay pre { overflow: auto; white-space: pre; background-color: #FBFBFA; border-radius: 2px; padding: 12px; margin: 6px 0 12px; }";
+
+// Show the overlay
+ready(function() {
+    if (document.getElementById("kevin-error-overlay") === null) {
+        var node = document.createElement("div");
+        node.setAttribute("id", "kevin-error-overlay");
+
+        document.body.appendChild(node);
+    }
+
+    var node = document.getElementById("kevin-error-overlay");
+    node.innerHTML = "<style>" + styleContents + "</style><div>" +
+            "<h3>Your code didn't make it</h3>" +
+            "Kevin ran into errors while building the assets for this page. " +
+            "<strong>${
+                kevinStatusUrl
+                    ? "This page will reload automatically once they're fixed."
+                    : "Fix them, and then refresh the page."
+            }</strong>" +
+            ${toJavascript(additionalInfo ? "<br /><br />" + additionalInfo : "")} +
+            "<br/><br/>" +
+            "<button class='kevin-close' onclick='document.getElementById(\\"kevin-error-overlay\\").remove()'>" +
+                "✕" +
+            "</button>" +
+            getHTMLForErrors() +
+        "</div>";
+
+    if (!node.getAttribute("data-kevin-listening")) {
+        node.setAttribute("data-kevin-listening", "true");
+        node.addEventListener("click", function(event) {
+            var configName = event.target.getAttribute("data-kevin-retry");
+            if (configName && window.__KEVIN_RETRY_BUILD[configName]) {
+                window.__KEVIN_RETRY_BUILD[configName](event.target);
+            }
+        });
+    }
+});
+
+})();
+`;
+};
@@ -0,0 +1,37 @@
+/**
+ * These are the built-in ways of deciding which compiler to evict. Each strategy is
+ * given a list of every compiler that can be evicted (pinned compilers can't be), as
+ * returned by CompilerManager's getInfoForCompiler plus the compiler's `name`. It returns
+ * that list sorted so that the compiler we'd most like to evict comes first.
+ */
+
+/**
+ * Least recently used: evict whatever compiler has gone the longest without a request.
+ * @param {Array<Object>} candidates
+ * @returns {Array<Object>}
+ */
+const lru = (candidates) => [...candidates].sort((c1, c2) => c1.lastUse - c2.lastUse);
+
+/**
+ * Least frequently used: evict whatever compiler has had the fewest requests per minute
+ * lately. Ties go to the least recently used compiler.
+ * @param {Array<Object>} candidates
+ * @returns {Array<Object>}
+ */
+const lfu = (candidates) =>
+    [...candidates].sort(
+        (c1, c2) => c1.frequency - c2.frequency || c1.lastUse - c2.lastUse
+    );
+
+/**
+ * Frecency: a mix of frequency and recency (see ManagedCompiler's getFrecency). Ties go
+ * to the least recently used compiler.
+ * @param {Array<Object>} candidates
+ * @returns {Array<Object>}
+ */
+const frecency = (candidates) =>
+    [...candidates].sort(
+        (c1, c2) => c1.frecency - c2.frecency || c1.lastUse - c2.lastUse
+    );
+
+module.exports = { lru, lfu, frecency };
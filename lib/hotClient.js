@@ -0,0 +1,130 @@
+/* eslint-env browser */
+/* global __resourceQuery, __webpack_hash__ */
+// This is added to entrypoints as is, without being transpiled, so it sticks to ES5
+/* eslint-disable no-var, prefer-arrow-callback */
+
+/**
+ * This file runs in the browser, not in node. When `hot` is turned on, Kevin adds it to
+ * the entrypoints of every config it builds. It listens to Kevin's event stream for its
+ * compiler, and applies each new build through webpack's Hot Module Replacement runtime.
+ * If an update can't be applied, it reloads the page instead.
+ *
+ * Kevin tells it which compiler it belongs to and where to find the event stream through
+ * its resource query: `hotClient.js?compiler=[name]&events=[url]`.
+ */
+
+var LOG_PREFIX = "[Kevin HMR]";
+
+var getQueryParam = function (name) {
+    var params = __resourceQuery.slice(1).split("&");
+    for (var i = 0; i < params.length; i++) {
+        var pair = params[i].split("=");
+        if (decodeURIComponent(pair[0]) === name) {
+            return decodeURIComponent(pair.slice(1).join("="));
+        }
+    }
+    return null;
+};
+
+var compilerName = getQueryParam("compiler");
+var eventsUrl = getQueryParam("events");
+
+// The hash of the newest build we've heard about. __webpack_hash__ is the hash of the
+// build that's running in the browser, and webpack updates it as updates are applied.
+var latestHash = __webpack_hash__;
+
+var isUpToDate = function () {
+    return latestHash === __webpack_hash__;
+};
+
+var reload = function (reason) {
+    console.warn(LOG_PREFIX + " " + reason + " Reloading the page.");
+    window.location.reload();
+};
+
+var applyUpdates = function () {
+    // If we're in the middle of an update, we'll check again once it's done
+    if (module.hot.status() !== "idle") {
+        return;
+    }
+    module.hot
+        .check(true)
+        .then(function (updatedModules) {
+            if (!updatedModules) {
+                reload("Couldn't find the update for " + compilerName + ".");
+                return;
+            }
+            if (updatedModules.length === 0) {
+                console.log(LOG_PREFIX + " Nothing on this page changed.");
+            } else {
+                console.log(LOG_PREFIX + " Updated modules:");
+                updatedModules.forEach(function (moduleId) {
+                    console.log("\t• " + moduleId);
+                });
+            }
+            // Another build may have finished while we were applying this one
+            if (!isUpToDate()) {
+                applyUpdates();
+            }
+        })
+        .catch(function (err) {
+            var status = module.hot.status();
+            if (status === "abort" || status === "fail") {
+                reload(
+                    "Couldn't apply the update for " +
+                        compilerName +
+                        " (" +
+                        err.message +
+                        ")."
+                );
+            } else {
+                console.error(LOG_PREFIX + " Update failed:", err);
+            }
+        });
+};
+
+if (!module.hot) {
+    console.error(
+        LOG_PREFIX +
+            " " +
+            compilerName +
+            " was built without webpack's HotModuleReplacementPlugin."
+    );
+} else if (!window.EventSource) {
+    console.warn(LOG_PREFIX + " This browser can't listen for updates from Kevin.");
+} else {
+    var events = new EventSource(
+        eventsUrl + "?compiler=" + encodeURIComponent(compilerName)
+    );
+    events.addEventListener("status", function (event) {
+        var data = JSON.parse(event.data);
+        if (data.status === "building") {
+            console.log(LOG_PREFIX + " Rebuilding " + compilerName + "...");
+        } else if (data.status === "done" && data.hash) {
+            latestHash = data.hash;
+            if (isUpToDate()) {
+                return;
+            }
+            console.log(
+                LOG_PREFIX + " " + compilerName + " was rebuilt; applying the update."
+            );
+            applyUpdates();
+        }
+    });
+    events.addEventListener("build-error", function (event) {
+        var errors = JSON.parse(event.data).errors;
+        console.error(
+            LOG_PREFIX +
+                " " +
+                compilerName +
+                " failed to build. Fix these errors to keep going:"
+        );
+        errors.forEach(function (error) {
+            console.error(
+                error.moduleName
+                    ? error.moduleName + " " + (error.loc || "") + "\n" + error.message
+                    : error.message
+            );
+        });
+    });
+}
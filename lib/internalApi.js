@@ -0,0 +1,383 @@
+/**
+ * Kevin's internal API: everything under `kevinApiPrefix`. These routes let the overlays
+ * check on builds, and let people (and tools) inspect and manage compilers. The routes
+ * are relative to wherever the API is mounted; see Kevin#getApiMiddleware.
+ */
+
+const ApiRouter = require("./ApiRouter");
+const dashboardTemplate = require("./dashboardTemplate");
+const { REASON_MANUAL } = require("./constants");
+
+const { sendError } = ApiRouter;
+
+/**
+ * Depending on how they're parsed, query params can also be arrays (i.e. when a param is
+ * repeated) or objects, so we only ever use the ones that are strings.
+ * @param {object} query - the request's query params
+ * @param {string} name - the name of the param
+ * @returns {string|undefined}
+ */
+const getQueryParam = (query, name) =>
+    typeof query[name] === "string" ? query[name] : undefined;
+
+/**
+ * @param {object} query - the request's query params
+ * @param {string} name - the name of the param
+ * @returns {boolean} - true if the param looks like "true"
+ */
+const isTrue = (query, name) =>
+    (getQueryParam(query, name) || "").toLowerCase() === "true";
+
+/**
+ * Makes the router for a Kevin instance's internal API.
+ * @param {Kevin} kevin
+ * @returns {ApiRouter}
+ */
+const createInternalApi = function (kevin) {
+    const router = new ApiRouter();
+    const { manager, log } = kevin;
+
+    // Most routes only work on configs with an active compiler, given by the `compiler`
+    // query param. This responds with a 400 (and returns false) if there isn't one.
+    const requireActiveCompiler = (req, res) => {
+        const compiler = getQueryParam(req.query, "compiler");
+        if (!compiler || !manager.isCompilerActive(compiler)) {
+            sendError(res, 400, `Kevin couldn't find a compiler named ${compiler}.`);
+            return false;
+        }
+        return true;
+    };
+
+    router.get("/", "Lists every route in Kevin's internal API.", (req, res) => {
+        res.json({ routes: router.getRoutes() });
+    });
+
+    router.get(
+        "/dashboard",
+        "A page for keeping an eye on, and managing, every compiler.",
+        (req, res) => {
+            res.setHeader("Content-Type", "text/html; charset=UTF-8");
+            res.send(dashboardTemplate(kevin.maxCompilers));
+        }
+    );
+
+    router.get(
+        "/build-status",
+        "Shows the status of each active compiler.",
+        (req, res) => {
+            // The overlay uses this endpoint to know whether or not to reload the page
+            res.json(manager.getAllBuildStatuses());
+        }
+    );
+
+    router.get(
+        "/events",
+        "A stream of Server-Sent Events about compilers. Accepts ?compiler=[name].",
+        (req, res) => {
+            // "start", "status" (with the new and previous status, plus the hash of
+            // finished builds), "build-error" (with the build's errors) and "evict"
+            // (with the reason it was closed).
+            const compilerName = getQueryParam(req.query, "compiler");
+            kevin.events.addClient(
+                res,
+                compilerName
+                    ? (event, data) => data.compiler === compilerName
+                    : undefined
+            );
+        }
+    );
+
+    router.get(
+        "/compiler-info",
+        "Shows details about every config, and how compilers are picked for eviction.",
+        (req, res) => {
+            const {
+                compilers,
+                leastUsedCompiler,
+                evictionStrategy,
+                evictionRanking,
+            } = manager.getAllCompilerInfo();
+            // Inactive configs are included too, as "not-built"
+            kevin.configs.forEach(({ name }) => {
+                compilers[name] = kevin.getConfigInfo(name);
+            });
+            res.json({
+                compilers,
+                leastUsedCompiler,
+                evictionStrategy,
+                evictionRanking,
+                hasMaxActiveCompilersBeenReached: kevin.hasMaxActiveCompilersBeenReached(),
+            });
+        }
+    );
+
+    router.get(
+        "/compilers/:name",
+        "Shows details about one config, whether or not its compiler is active.",
+        (req, res, { name }) => {
+            const info = kevin.getConfigInfo(name);
+            if (!info) {
+                sendError(res, 404, `Kevin couldn't find a config named ${name}.`);
+                return;
+            }
+            res.json({ name, ...info });
+        }
+    );
+
+    router.get(
+        "/resolve",
+        "Shows which config would handle a request. Requires ?path=[request path].",
+        (req, res) => {
+            const reqPath = getQueryParam(req.query, "path");
+            if (!reqPath || !reqPath.startsWith("/")) {
+                sendError(
+                    res,
+                    400,
+                    "Kevin needs an absolute request path, like ?path=/app.js."
+                );
+                return;
+            }
+            // getAssetName and selectConfigName get a copy of this request, as if it
+            // were for the given path
+            const resolvedReq = Object.create(req, { path: { value: reqPath } });
+            res.json({
+                path: reqPath,
+                ...kevin.resolveRequest(resolvedReq, res),
+            });
+        }
+    );
+
+    router.get(
+        "/entries",
+        "Lists every entrypoint, and the names of the configs that build it.",
+        (req, res) => {
+            res.json(kevin.entryMap);
+        }
+    );
+
+    router.post(
+        "/refresh-entries",
+        "Calls every config's entry function again, and lists the new entrypoints.",
+        (req, res) => {
+            kevin
+                .refreshEntryMap()
+                .then((entryMap) => res.json(entryMap))
+                .catch((err) => {
+                    log.error(err);
+                    sendError(
+                        res,
+                        500,
+                        "Something went wrong trying to refresh the entries. Check the logs for details."
+                    );
+                });
+        }
+    );
+
+    router.get(
+        "/compiler-warnings",
+        "Lists the warnings from a compiler's last build. Requires ?compiler=[name].",
+        (req, res) => {
+            if (!requireActiveCompiler(req, res)) {
+                return;
+            }
+            const compiler = getQueryParam(req.query, "compiler");
+            res.json({
+                compiler,
+                warnings: manager.getWarningsForCompiler(compiler),
+            });
+        }
+    );
+
+    router.get(
+        "/memory-usage",
+        "Shows memory stats for the process Kevin is running in.",
+        (req, res) => {
+            res.json(manager.getHumanReadableMemoryUsage());
+        }
+    );
+
+    router.post(
+        "/restart-compiler",
+        "Rebuilds a compiler. Requires ?compiler=[name]; add &hard=true to restart it.",
+        (req, res) => {
+            if (!requireActiveCompiler(req, res)) {
+                return;
+            }
+            const compiler = getQueryParam(req.query, "compiler");
+            // A hard restart fully shuts down and restarts the compiler, rather than
+            // just invalidating it and forcing a partial recompilation.
+            if (isTrue(req.query, "hard")) {
+                kevin
+                    .restartCompiler(compiler)
+                    .then((name) => {
+                        if (!name) {
+                            sendError(
+                                res,
+                                400,
+                                `Kevin couldn't find a compiler named ${compiler}.`
+                            );
+                            return;
+                        }
+                        res.sendStatus(200);
+                    })
+                    .catch((err) => {
+                        log.error(err);
+                        sendError(
+                            res,
+                            500,
+                            `Something went wrong trying to restart ${compiler}. Check the logs for details.`
+                        );
+                    });
+                return;
+            }
+            if (!manager.invalidateCompiler(compiler)) {
+                sendError(
+                    res,
+                    400,
+                    `Kevin couldn't find a compiler named ${compiler}.`
+                );
+                return;
+            }
+            log.info(`Soft-restarted compiler: ${compiler}`);
+            res.sendStatus(200);
+        }
+    );
+
+    router.post(
+        "/stop-compiler",
+        "Stops a compiler. Requires ?compiler=[name].",
+        (req, res) => {
+            if (!requireActiveCompiler(req, res)) {
+                return;
+            }
+            const compilerToEvict = getQueryParam(req.query, "compiler");
+            // Let the hooks know, just like with any other eviction
+            kevin.hooks.compilerClose.call({
+                compilerToEvict,
+                compilerStats: manager.getInfoForCompiler(compilerToEvict),
+                reason: REASON_MANUAL,
+                requestId: null,
+            });
+            manager
+                .closeCompiler(compilerToEvict)
+                .then((name) => {
+                    if (!name) {
+                        sendError(
+                            res,
+                            400,
+                            `Kevin couldn't find a compiler named ${compilerToEvict}.`
+                        );
+                        return;
+                    }
+                    kevin.events.send("evict", {
+                        compiler: name,
+                        reason: REASON_MANUAL,
+                    });
+                    log.notice(`Stopped compiler: ${name}`);
+                    res.sendStatus(200);
+                })
+                .catch((err) => {
+                    log.error(err);
+                    sendError(
+                        res,
+                        500,
+                        `Something went wrong trying to stop ${compilerToEvict}. Check the logs for details.`
+                    );
+                });
+        }
+    );
+
+    router.post(
+        "/start-compiler",
+        "Starts a compiler. Requires ?compiler=[name].",
+        (req, res) => {
+            const compiler = getQueryParam(req.query, "compiler");
+            if (!compiler || manager.isCompilerActive(compiler)) {
+                sendError(
+                    res,
+                    400,
+                    `Kevin couldn't find an inactive compiler named ${compiler}.`
+                );
+                return;
+            }
+            // A maxCompilers of 0 means there's no limit
+            if (
+                kevin.maxCompilers !== 0 &&
+                manager.countActiveCompilers() >= kevin.maxCompilers
+            ) {
+                sendError(
+                    res,
+                    409,
+                    `${compiler} can't be started because Kevin has reached the maximum of active compilers. Please stop one first.`
+                );
+                return;
+            }
+            kevin
+                .buildConfig(compiler)
+                .then(() => res.sendStatus(200))
+                .catch((err) => {
+                    log.error(err);
+                    sendError(
+                        res,
+                        500,
+                        `Something went wrong trying to start ${compiler}. Check the logs for details.`
+                    );
+                });
+        }
+    );
+
+    [true, false].forEach((pin) => {
+        router.post(
+            pin ? "/pin-compiler" : "/unpin-compiler",
+            pin
+                ? "Keeps a config's compiler from being evicted. Requires ?compiler=[name]."
+                : "Lets a config's compiler be evicted again. Requires ?compiler=[name].",
+            (req, res) => {
+                // The config doesn't need to have an active compiler
+                const compiler = getQueryParam(req.query, "compiler");
+                const success = pin
+                    ? kevin.pinConfig(compiler)
+                    : kevin.unpinConfig(compiler);
+                if (!success) {
+                    sendError(
+                        res,
+                        400,
+                        `Kevin couldn't find a config named ${compiler}.`
+                    );
+                    return;
+                }
+                log.notice(`${pin ? "Pinned" : "Unpinned"} compiler: ${compiler}`);
+                res.sendStatus(200);
+            }
+        );
+    });
+
+    router.post(
+        "/prewarm",
+        "Starts compilers in the background. Accepts ?compiler=[names]&pin=[true|false].",
+        (req, res) => {
+            // Without `compiler`, we start the configs from the `prewarm` option
+            const compiler = getQueryParam(req.query, "compiler");
+            const configNames = compiler
+                ? compiler.split(",")
+                : kevin.getPrewarmConfigNames();
+            kevin
+                .prewarmConfigs(configNames, { pin: isTrue(req.query, "pin") })
+                .then((started) => res.json({ started }))
+                .catch((err) => {
+                    log.error(err);
+                    sendError(
+                        res,
+                        500,
+                        `Something went wrong trying to prewarm ${configNames.join(
+                            ", "
+                        )}. Check the logs for details.`
+                    );
+                });
+        }
+    );
+
+    return router;
+};
+
+module.exports = createInternalApi;
@@ -1,22 +1,60 @@
 /**
  * This file contains centralized logging for Kevin.
- * Having centralized logging logic keeps us from using console.log
- * everywhere, and can make it easier to inject custom logging in the future.
+ * Having centralized logging logic keeps us from using console.log everywhere, and lets
+ * people swap in their own logger (see createLogger). Every logger is an object with
+ * `debug`, `info`, `notice` and `error` methods, which are given a message and,
+ * optionally, some context about it (i.e. `{ requestId }` for messages about a request).
  */
+const { LOG_LEVELS, CONSOLE_LOGGER, JSON_LOGGER } = require("./constants");
+
 const colorReset = "\x1b[0m";
 const colorBright = "\x1b[1m";
 const colorFgRed = "\x1b[31m";
 const colorFgYellow = "\x1b[33m";
 const colorFgBlue = "\x1b[34m";
+const colorDim = "\x1b[2m";
+
+// eslint-disable-next-line no-control-regex
+const ansiCodes = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Formats whatever context came along with a message, so it can go in front of it.
+ * @param {object} context
+ * @param {string} context.requestId - ID of the request that the message is about
+ * @returns {string}
+ */
+const formatContext = function (context = {}) {
+    return context.requestId ? `${colorDim}(${context.requestId})${colorReset} ` : "";
+};
+
+/**
+ * Use this method for details that are only interesting when you're figuring out what
+ * Kevin is up to, like requests that it's ignoring.
+ * @param {string} msg — this is what gets logged
+ * @param {object} context — optional, i.e. `{ requestId }` for messages about a request
+ */
+const logDebug = function (msg, context) {
+    // eslint-disable-next-line no-console
+    console.log(
+        `  ${colorFgBlue}[KEVIN]${colorReset} ${formatContext(
+            context
+        )}${colorDim}${msg}${colorReset}`
+    );
+};
 
 /**
  * Use this method to log basic information. This method should be used for, say, events
  * that you'd like to see if you were reading through the logs after the fact.
  * @param {string} msg — this is what gets logged
+ * @param {object} context — optional, i.e. `{ requestId }` for messages about a request
  */
-const logInfo = function (msg) {
+const logInfo = function (msg, context) {
     // eslint-disable-next-line no-console
-    console.log(`  ${colorFgBlue}[KEVIN]${colorReset} ${msg}${colorReset}`);
+    console.log(
+        `  ${colorFgBlue}[KEVIN]${colorReset} ${formatContext(
+            context
+        )}${msg}${colorReset}`
+    );
 };
 
 /**
@@ -24,18 +62,119 @@ const logInfo = function (msg) {
  * logging events that you'd like to know about as they happen (i.e. a compiler has
  * just started).
  * @param {string} msg — this is what gets logged
+ * @param {object} context — optional, i.e. `{ requestId }` for messages about a request
  */
-const logNotice = function (msg) {
-    logInfo(`${colorBright + colorFgYellow}${msg}`);
+const logNotice = function (msg, context) {
+    logInfo(`${colorBright + colorFgYellow}${msg}`, context);
 };
 
 /**
  * Use this method for errors, or things that imply something unexpected has happened.
  * @param {string} msg — this is what gets logged
+ * @param {object} context — optional, i.e. `{ requestId }` for messages about a request
  */
-const logError = function (err) {
+const logError = function (err, context) {
+    const prefix = `  ${colorFgRed}[KEVIN]${colorReset}`;
+    const requestPrefix = formatContext(context).trimEnd();
     // eslint-disable-next-line no-console
-    console.error(`  ${colorFgRed}[KEVIN]${colorReset}`, err);
+    console.error(...[prefix, requestPrefix].filter(Boolean), err);
 };
 
-module.exports = { logInfo, logNotice, logError };
+// Kevin's default logger, which prints colorful lines to the console
+const consoleLogger = {
+    debug: logDebug,
+    info: logInfo,
+    notice: logNotice,
+    error: logError,
+};
+
+/**
+ * Makes a logger that writes one JSON object per line, for log aggregators. Each line
+ * has the time, level and message, plus the message's context. Errors get their stack.
+ * @param {stream.Writable} stream - where to write the lines
+ * @returns {object} a logger
+ */
+const createJsonLogger = function (stream = process.stdout) {
+    const write = (level) => (msg, context = {}) => {
+        const line = {
+            time: new Date().toISOString(),
+            level,
+            name: "kevin",
+            msg: (msg instanceof Error ? msg.message : String(msg)).replace(
+                ansiCodes,
+                ""
+            ),
+        };
+        Object.keys(context).forEach((key) => {
+            if (context[key] !== null && context[key] !== undefined) {
+                line[key] = context[key];
+            }
+        });
+        if (msg instanceof Error && msg.stack) {
+            line.stack = msg.stack;
+        }
+        stream.write(`${JSON.stringify(line)}\n`);
+    };
+    return {
+        debug: write("debug"),
+        info: write("info"),
+        notice: write("notice"),
+        error: write("error"),
+    };
+};
+
+/**
+ * Makes the logger that a Kevin instance uses. It only passes along messages at or
+ * above logLevel. Custom loggers without `debug` or `notice` methods (plenty of logging
+ * libraries don't have a notice level) get those messages at the info level instead.
+ * @param {object|string} $0.logger - a logger (an object with debug, info, notice and
+ *      error methods), or the name of a built-in one: "console" or "json".
+ * @param {string} $0.logLevel - the quietest level to log: "debug", "info", "notice",
+ *      "error", or "silent" to log nothing.
+ * @returns {object} a logger whose methods can be passed around on their own
+ */
+const createLogger = function ({ logger = CONSOLE_LOGGER, logLevel = "info" } = {}) {
+    if (!LOG_LEVELS.includes(logLevel)) {
+        throw new Error(
+            `${logLevel} is not a valid log level. Use one of ${LOG_LEVELS.join(", ")}.`
+        );
+    }
+    if (logger === CONSOLE_LOGGER) {
+        logger = consoleLogger;
+    } else if (logger === JSON_LOGGER) {
+        logger = createJsonLogger();
+    } else if (
+        !logger ||
+        typeof logger.info !== "function" ||
+        typeof logger.error !== "function"
+    ) {
+        throw new Error(
+            `logger should be "${CONSOLE_LOGGER}", "${JSON_LOGGER}", or an object with ` +
+                `debug, info, notice and error methods.`
+        );
+    }
+
+    const minimumLevel = LOG_LEVELS.indexOf(logLevel);
+    return ["debug", "info", "notice", "error"].reduce((leveledLogger, level) => {
+        const method = typeof logger[level] === "function" ? level : "info";
+        leveledLogger[level] =
+            LOG_LEVELS.indexOf(level) >= minimumLevel
+                ? logger[method].bind(logger)
+                : () => {};
+        return leveledLogger;
+    }, {});
+};
+
+// Used when there's no Kevin instance (and so no logger) around
+const defaultLogger = createLogger();
+
+module.exports = {
+    logDebug,
+    logInfo,
+    logNotice,
+    logError,
+    consoleLogger,
+    createJsonLogger,
+    createLogger,
+    defaultLogger,
+};
@@ -7,32 +7,70 @@
  */
 
 const webpack = require("webpack");
-const fs = require("fs");
+const path = require("path");
+const { createFsFromVolume, Volume } = require("memfs");
 const { SyncHook } = require("tapable");
 
 const {
+    getOutputFilename,
     getPathToServe,
+    readFromOutputFileSystem,
     validateConfigs,
     defer,
+    getErrorDetails,
     initializeEntryMap,
+    initializeEntryMatchers,
+    matchEntryRequest,
+    resolveDynamicEntries,
+    prependToEntry,
+    serializeWatchOptions,
+    getRequestId,
 } = require("./utils");
-const { logInfo, logNotice, logError } = require("./logger");
+const { createLogger } = require("./logger");
 const buildingTemplate = require("./buildingTemplate");
+const errorTemplate = require("./errorTemplate");
+const {
+    warningSummaryScript,
+    staleBuildScript,
+    liveReloadScript,
+} = require("./clientScripts");
+const ApiRouter = require("./ApiRouter");
 const CompilerManager = require("./CompilerManager");
+const EventStream = require("./EventStream");
+const createInternalApi = require("./internalApi");
 const PublicConfigManager = require("./PublicConfigManager");
 
 const PLUGIN_VERSION = "1.0.0";
 
 const {
+    PLUGIN_NAME,
+
     // Build states
     FIRST_BUILD,
+    BUILDING,
     ERROR,
     DONE,
     NOT_BUILT,
-} = require("./constants");
 
-// we're leaving manager detached from Kevin to keep it and its methods private
-const manager = new CompilerManager();
+    // Output filesystems
+    DISK,
+    MEMORY,
+
+    // Reasons for closing a compiler
+    REASON_CAPACITY,
+    REASON_MEMORY,
+    REASON_IDLE,
+
+    // What to do when a request times out waiting for a build
+    TIMEOUT_ACTION_NONE,
+    TIMEOUT_ACTION_INVALIDATE,
+    TIMEOUT_ACTION_RESTART,
+
+    BUILD_TIMEOUT,
+
+    // Built-in loggers
+    CONSOLE_LOGGER,
+} = require("./constants");
 
 class Kevin {
     constructor(
@@ -42,6 +80,11 @@ class Kevin {
             // Set to 0 to never evict anything, but that'll probably make you run out of
             // memory.
             maxCompilers = 3,
+            // Memory budgets for the whole process, in megabytes. When starting a new
+            // compiler would leave us over either of these, Kevin evicts the least used
+            // compilers until we're back under budget. Set to 0 to ignore memory usage.
+            maxHeapMB = 0,
+            maxRssMB = 0,
             // Given a request path, the req object, and the res object, return the name of the asset we're trying to serve.
             // Useful if you have entries that don't map to the filenames they render.
             // Default: strip off leading forward slash and js extension. This is because
@@ -55,7 +98,7 @@ class Kevin {
                     return null;
                 }
                 if (configNames.length > 1) {
-                    logError(
+                    this.log.error(
                         `Multiple configNames found for ${reqPath}: ${configNames.join(
                             ","
                         )}. Using first one.`
@@ -80,31 +123,269 @@ class Kevin {
             // to users of your server, like "If you run into issues, try running restart_server_please.sh"
             // This string may contain valid HTML.
             additionalOverlayInfo = "",
+            // If true, entrypoints will log a summary of their compiler's warnings to the
+            // browser console, so that they don't go unnoticed.
+            warningsInConsole = false,
 
             // This string will be used to prefix any performance markers fired from the kevin overlay script
             // in buildingTemplate.js
             perfMarkerPrefix = "",
+
+            // The CompilerManager this instance uses to keep track of its compilers. Every
+            // instance of Kevin gets its own by default; you probably only want to
+            // provide one when testing.
+            compilerManager = null,
+
+            // Close compilers that nobody has used in this many minutes, even if we
+            // aren't running out of room. Pinned compilers are never closed. Set to 0
+            // to keep compilers around until something else needs their spot.
+            idleTimeoutMinutes = 0,
+
+            // How to pick which compiler to evict. Either "lru" (least recently used),
+            // "lfu" (least frequently used), "frecency" (a mix of both), or a function
+            // that's given info about every compiler that can be evicted and returns
+            // the name of the one to close.
+            evictionStrategy = "frecency",
+
+            // Names of configs whose compilers should never be evicted. You can also
+            // pin and unpin configs while Kevin is running through the internal API.
+            pinnedConfigs = [],
+
+            // Configs to start compiling in the background as soon as `getMiddleware` is
+            // called, so nobody has to wait for them on their first page load. Either
+            // a list of config names, or a function that's given every config and
+            // returns a list of config names. We never start more than maxCompilers.
+            prewarm = [],
+            // Set to true to also pin the configs we prewarm.
+            pinPrewarmedConfigs = false,
+
+            // Where compilers should write their output: either "disk", which is where
+            // webpack normally puts things, or "memory", which gives every compiler its
+            // own in-memory filesystem and keeps Kevin from writing to disk at all.
+            outputFileSystem = DISK,
+
+            // Set to true to update modules in the browser as their source changes, with
+            // webpack's Hot Module Replacement, instead of having to reload the page. Kevin
+            // adds the HMR runtime and its own client to every config it builds.
+            hot = false,
+            // Set to true to reload the page whenever a config that built one of its
+            // entrypoints finishes a new build. If only stylesheets changed, they're
+            // swapped out instead. Ignored when `hot` is on.
+            liveReload = false,
+
+            // The watch options for configs that don't have their own `watchOptions`.
+            // These are merged on top of `{ aggregateTimeout: 1000 }`, and a config's
+            // own options are merged on top of them, so each only needs to set what's
+            // different. See https://webpack.js.org/configuration/watch/
+            watchOptions = {},
+
+            // Set to true to serve the last good build of an asset right away while its
+            // compiler is rebuilding, or when its latest build failed, instead of making
+            // the request wait (or serving an error). Compilers keep their last good
+            // build in memory to make this work.
+            staleWhileRebuilding = false,
+
+            // How long a request should wait on a build before giving up, in
+            // milliseconds. Requests that give up get an overlay explaining that the
+            // build stalled. Set to 0 to wait forever.
+            buildTimeoutMs = 0,
+            // What to do about a compiler when a request gives up on it: "none",
+            // "invalidate" (rebuild it), or "restart" (close it and start a new one).
+            buildTimeoutAction = TIMEOUT_ACTION_NONE,
+            // Where Kevin's logs go: "console" (colorful lines), "json" (one JSON object
+            // per line, on stdout), or your own object with debug, info, notice and
+            // error methods.
+            logger = CONSOLE_LOGGER,
+            // The quietest level to log: "debug", "info", "notice", "error" or "silent".
+            // Use "notice" to hide the line or two we log about every request.
+            logLevel = "info",
         } = {}
     ) {
         this.hooks = {
             start: new SyncHook(["configs", "configManager"]),
-            compilerStart: new SyncHook(["compilerName"]),
+            compilerStart: new SyncHook(["compilerName", "requestId"]),
             compilerClose: new SyncHook(["evictionOptions"]),
-            handleRequest: new SyncHook(["request", "assetName", "compilerName"]),
+            handleRequest: new SyncHook([
+                "request",
+                "assetName",
+                "compilerName",
+                "requestId",
+            ]),
+            shutdown: new SyncHook(["compilerNames"]),
         };
 
+        this.log = createLogger({ logger, logLevel });
+
         this.configs = validateConfigs(configs);
 
+        // Compilers, their usage, and their build statuses all belong to this instance.
+        // Nothing outside of Kevin should reach into the manager; plugins get a
+        // PublicConfigManager instead.
+        this.manager =
+            compilerManager ||
+            new CompilerManager({
+                evictionStrategy,
+                retainLastGoodBuild: staleWhileRebuilding,
+                // Live reloading swaps stylesheets when they're all that changed
+                trackChangedAssets: liveReload && !hot,
+                logger: this.log,
+            });
+        if (compilerManager) {
+            // These options only take effect when we create the manager ourselves
+            const ignoredOptions = [];
+            if (evictionStrategy !== compilerManager.evictionStrategy) {
+                ignoredOptions.push("evictionStrategy");
+            }
+            if (staleWhileRebuilding && !compilerManager.retainLastGoodBuild) {
+                ignoredOptions.push("staleWhileRebuilding");
+            }
+            if (ignoredOptions.length > 0) {
+                this.log.error(
+                    `The compilerManager option was given, so ${ignoredOptions.join(
+                        " and "
+                    )} will be ignored. Create the CompilerManager with matching ` +
+                        `options instead.`
+                );
+            }
+        }
+
+        // Browsers can subscribe to what our compilers are doing through the events
+        // endpoint, instead of polling for it.
+        this.events = new EventStream();
+        this.addEventStreamHooks();
+
         this.maxCompilers = maxCompilers;
+        this.maxHeapMB = maxHeapMB;
+        this.maxRssMB = maxRssMB;
+        this.idleTimeoutMinutes = idleTimeoutMinutes;
         this.getAssetName = getAssetName;
         this.buildOnly = buildOnly;
         this.selectConfigName = selectConfigName;
         this.kevinPublicPath = kevinPublicPath;
         this.kevinApiPrefix = kevinApiPrefix;
         this.additionalOverlayInfo = additionalOverlayInfo;
+        this.warningsInConsole = warningsInConsole;
         this.perfMarkerPrefix = perfMarkerPrefix;
 
-        this.entryMap = initializeEntryMap(this.configs);
+        if (![DISK, MEMORY].includes(outputFileSystem)) {
+            throw new Error(
+                `${outputFileSystem} is not a valid outputFileSystem. ` +
+                    `Use either "${DISK}" or "${MEMORY}".`
+            );
+        }
+        this.outputFileSystem = outputFileSystem;
+        this.hot = hot;
+        this.liveReload = liveReload;
+        this.watchOptions = { aggregateTimeout: 1000, ...watchOptions };
+        this.staleWhileRebuilding = staleWhileRebuilding;
+
+        const timeoutActions = [
+            TIMEOUT_ACTION_NONE,
+            TIMEOUT_ACTION_INVALIDATE,
+            TIMEOUT_ACTION_RESTART,
+        ];
+        if (!timeoutActions.includes(buildTimeoutAction)) {
+            throw new Error(
+                `${buildTimeoutAction} is not a valid buildTimeoutAction. ` +
+                    `Use one of ${timeoutActions.join(", ")}.`
+            );
+        }
+        this.buildTimeoutMs = buildTimeoutMs;
+        this.buildTimeoutAction = buildTimeoutAction;
+        // When we last did something about each stalled compiler, so that every request
+        // that gives up on the same build doesn't restart it again.
+        this.lastTimeoutActions = new Map();
+
+        // Configs whose entries are functions are added once we've called them; see
+        // refreshEntryMap.
+        this.entryMap = initializeEntryMap(this.configs, this.log);
+        // For requests the entry map can't place, we try to match them to entrypoints
+        // using each config's output.filename
+        this.entryMatchers = initializeEntryMatchers(this.configs);
+        this.entryMapReady = null;
+
+        pinnedConfigs.forEach((configName) => this.pinConfig(configName));
+
+        this.prewarm = prewarm;
+        this.pinPrewarmedConfigs = pinPrewarmedConfigs;
+
+        this.api = createInternalApi(this);
+    }
+
+    /**
+     * Forwards everything interesting that happens to our compilers to the event stream.
+     * Every event's data has a `compiler` property with the compiler's name.
+     */
+    addEventStreamHooks() {
+        const { hooks } = this.manager;
+        hooks.compilerAdded.tap(PLUGIN_NAME, (compiler) => {
+            this.events.send("start", {
+                compiler,
+                status: this.manager.getStatus(compiler),
+            });
+        });
+        hooks.statusChange.tap(PLUGIN_NAME, (compiler, status, previousStatus) => {
+            const data = { compiler, status, previousStatus };
+            if (status === DONE) {
+                data.hash = this.manager.getLastHashForCompiler(compiler);
+                data.changedAssets = this.manager.getChangedAssetsForCompiler(compiler);
+            }
+            this.events.send("status", data);
+            if (status === ERROR) {
+                this.events.send("build-error", {
+                    compiler,
+                    errors: this.manager.getErrorDetailsForCompiler(compiler),
+                });
+            }
+        });
+    }
+
+    /**
+     * Pins the given config, so that its compiler is never evicted. The config doesn't
+     * need to have an active compiler.
+     * @param {string} configName
+     * @returns {boolean} - true if the config was pinned, false if it doesn't exist
+     */
+    pinConfig(configName) {
+        if (!this.configs.some(({ name }) => name === configName)) {
+            this.log.error(
+                `Trying to pin config: ${configName}, but it can't be found.`
+            );
+            return false;
+        }
+        this.manager.pinCompiler(configName);
+        return true;
+    }
+
+    /**
+     * Unpins the given config, so that its compiler can be evicted again.
+     * @param {string} configName
+     * @returns {boolean} - true if the config was unpinned, false if it doesn't exist
+     */
+    unpinConfig(configName) {
+        if (!this.configs.some(({ name }) => name === configName)) {
+            this.log.error(
+                `Trying to unpin config: ${configName}, but it can't be found.`
+            );
+            return false;
+        }
+        this.manager.unpinCompiler(configName);
+        return true;
+    }
+
+    /**
+     * Rebuilds the entry map, calling the `entry` function of every config that has one
+     * to find out what its entrypoints are now. This happens when the middleware starts,
+     * and whenever someone asks for it (entry functions can return different entries
+     * over time, i.e. when files are added).
+     * @returns {Promise<Object>} - resolves to the new entry map
+     */
+    refreshEntryMap() {
+        return resolveDynamicEntries(this.configs).then((resolvedEntries) => {
+            this.entryMap = initializeEntryMap(this.configs, this.log, resolvedEntries);
+            this.entryMatchers = initializeEntryMatchers(this.configs, resolvedEntries);
+            return this.entryMap;
+        });
     }
 
     /**
@@ -129,133 +410,494 @@ class Kevin {
         return config || null;
     }
 
+    /**
+     * Figures out which asset a request is for, and which config is responsible for it.
+     * The internal API's /resolve route shows all of this, to help debug routing.
+     * @param {object} req - Express request object
+     * @param {object} res - Express response object
+     * @returns {object} - with these properties:
+     *      `assetName`: the name of the requested asset (see the getAssetName option)
+     *      `candidates`: the names of every config with an entrypoint by that name
+     *      `configName`: the name of the responsible config, or null if there isn't one
+     *      `isEntrypoint`: true if the asset is one of that config's entrypoints, rather
+     *          than a chunk or some other file that its compiler emitted
+     *      `entryName`: the name of the entrypoint, if we matched it using the config's
+     *          output.filename (see getEntrypointMatch)
+     *      `compilerActive`: true if that config's compiler is running
+     *      `diskPath`: where the asset is (or would be) in the output filesystem
+     */
+    resolveRequest(req, res) {
+        const reqPath = req.path;
+        // Mangle the url to get asset name
+        const assetName = this.getAssetName(reqPath, req, res);
+        // Select appropriate config for given asset
+        let config = this.getConfigForAssetName(reqPath, assetName, this.configs);
+        let candidates = this.entryMap[assetName] || [];
+        let entryName = null;
+        if (!config) {
+            const match = this.getEntrypointMatch(reqPath);
+            if (match) {
+                config = this.configs.find(({ name }) => name === match.configName);
+                ({ candidates, entryName } = match);
+            }
+        }
+        // If this isn't an entrypoint, it may be a chunk, stylesheet, source map or
+        // some other file emitted by one of our running compilers.
+        const isEntrypoint = !!config;
+        const configName = isEntrypoint
+            ? config.name
+            : this.manager.getCompilerNameForEmittedAsset(reqPath);
+        const compilerActive =
+            !!configName && this.manager.isCompilerActive(configName);
+
+        let diskPath = null;
+        if (compilerActive) {
+            diskPath = this.getAssetPathToServe(configName, reqPath, entryName);
+        } else if (configName) {
+            // Without a compiler, we fill in the output options that webpack would have,
+            // using webpack's own defaults. getPathToServe only needs those.
+            const output = {
+                path: path.join(process.cwd(), "dist"),
+                publicPath: "auto",
+                ...config.output,
+            };
+            diskPath = getPathToServe({ options: { output } }, reqPath);
+        }
+
+        return {
+            assetName,
+            candidates,
+            configName: configName || null,
+            isEntrypoint,
+            entryName,
+            compilerActive,
+            diskPath,
+        };
+    }
+
+    /**
+     * Matches a request the entry map doesn't know about to an entrypoint, using the
+     * filenames that configs give their entrypoints (`output.filename`, or an entry
+     * descriptor's `filename`) and their `output.publicPath`. This is how requests like
+     * `/static/js/app.3f9a1c.js` find their way to the `app` entrypoint without a
+     * custom getAssetName.
+     *
+     * The files active compilers emitted in their last build come first, since they
+     * know exactly what any hashes in their names are. Anything else they emitted (like
+     * a chunk) isn't an entrypoint, even if its name happens to fit an entrypoint's
+     * template. Otherwise, we match against the filename templates, where hashes can be
+     * anything.
+     * @param {string} reqPath - a request path (i.e. from express's req.path)
+     * @returns {object|null} - `{ configName, entryName, candidates }`, where candidates
+     *      are the names of every config with a matching entrypoint
+     */
+    getEntrypointMatch(reqPath) {
+        const emitted = this.manager.getEntrypointForEmittedAsset(reqPath);
+        if (emitted) {
+            return {
+                configName: emitted.compilerName,
+                entryName: emitted.entryName,
+                candidates: [emitted.compilerName],
+            };
+        }
+        if (this.manager.getCompilerNameForEmittedAsset(reqPath)) {
+            return null;
+        }
+        const matches = matchEntryRequest(this.entryMatchers, reqPath);
+        if (matches.length === 0) {
+            return null;
+        }
+        const candidates = Array.from(
+            new Set(matches.map(({ configName }) => configName))
+        );
+        const configName = this.selectConfigName(reqPath, candidates);
+        const match = matches.find((match) => match.configName === configName);
+        if (!match) {
+            return null;
+        }
+        return { configName, entryName: match.entryName, candidates };
+    }
+
+    /**
+     * Finds where the file for a request is in an active compiler's output filesystem.
+     * For an entrypoint we matched by its filename, that's wherever its last build put
+     * it, so requests with an old (or made-up) hash in them still get the latest one.
+     * @param {string} configName
+     * @param {string} reqPath - a request path (i.e. from express's req.path)
+     * @param {string} entryName - see getEntrypointMatch
+     * @returns {string}
+     */
+    getAssetPathToServe(configName, reqPath, entryName = null) {
+        const compiler = this.manager.getWebpackCompiler(configName);
+        const entrypointFile =
+            entryName &&
+            this.manager.getEntrypointFileForCompiler(configName, entryName);
+        if (entrypointFile) {
+            return path.join(compiler.options.output.path, entrypointFile);
+        }
+        return getPathToServe(compiler, reqPath);
+    }
+
     /**
      * Given a config, find or start a compiler for it, and then register
      * a callback to be invoked once it's all done building everything.
      * @param {object} config - a single-compiler webpack config.
+     * @param {object} $1.req - Express request object, if this is for a request
+     * @param {object} $1.res - Express response object, if this is for a request
+     * @param {string} $1.requestId - ID of the request, if this is for a request
      * @return {Promise<bool>} - promise representing whether or not this is the first
      *      build of a new compiler (true) or a rebuild of an existing one (false)
      */
-    buildConfig(configName) {
+    buildConfig(configName, { req, res, requestId = null } = {}) {
+        const logContext = { requestId };
         const config = this.configs.find((config) => config.name === configName);
         if (!config) {
             const msg = `Trying to build config: ${configName}, but it can't be found.`;
-            logError(msg);
+            this.log.error(msg, logContext);
             return Promise.reject(msg);
         }
 
         // determine if there's a compiler already
-        if (manager.isCompilerActive(configName)) {
-            manager.noteCompilerUsage(configName);
-            const buildState = manager.getStatus(configName);
+        if (this.manager.isCompilerActive(configName)) {
+            this.manager.noteCompilerUsage(configName);
+            const buildState = this.manager.getStatus(configName);
 
             // determine state of build
             if (buildState === DONE) {
-                // if done, serve from disk
-                logInfo(`${configName} is done; serving its assets right from disk`);
+                // if done, serve from the output filesystem
+                this.log.info(
+                    `${configName} is done; serving its assets right away`,
+                    logContext
+                );
                 return Promise.resolve(false);
             } else if (buildState === FIRST_BUILD) {
                 // Still doing the first build, hold your horses
-                logInfo(
-                    `${configName} is running its first build; serving loading overlay`
+                this.log.info(
+                    `${configName} is running its first build; serving loading overlay`,
+                    logContext
                 );
                 return Promise.resolve(true);
             } else {
                 // We're in the middle of building something, or something's broken.
                 if (buildState === ERROR) {
-                    // TODO: if the build has errored, we need to surface errors in the
-                    // browser. If we're here, it means that there was an error and the user
-                    // re-requested the file without making any changes, which seems about
-                    // right if the user doesn't know about any build issues.
-                    logInfo(
-                        `${configName} encountered an error; invalidating and rebuilding`
+                    // If we're here, it means that there was an error and the user
+                    // re-requested the file without making any changes. If the rebuild
+                    // fails too, they'll get the error overlay.
+                    this.log.info(
+                        `${configName} encountered an error; invalidating and rebuilding`,
+                        logContext
                     );
                     // for now, invalidate the build and then pretend like it's building.
-                    manager.invalidateCompiler(configName);
+                    this.manager.invalidateCompiler(configName);
                 } else {
-                    logInfo(`${configName} is building and should be done shortly`);
+                    this.log.info(
+                        `${configName} is building and should be done shortly`,
+                        logContext
+                    );
                 }
                 // otherwise, create a deferred promise
-                const { promise, resolve, reject } = defer();
-                manager.addDeferredCallback(configName, resolve, reject);
-                return promise;
+                return this.waitForBuild(configName, { req, res, requestId });
             }
         }
 
         // instatiate a new compiler, give it the config, add hooks (don't start building yet)
-        logNotice(`Starting compiler for ${configName}.`);
-        this.hooks.compilerStart.call(configName);
+        this.log.notice(`Starting compiler for ${configName}.`, logContext);
+        this.hooks.compilerStart.call(configName, requestId);
 
-        const compiler = webpack(config);
+        const compiler = webpack(this.hot ? this.getHotConfig(config) : config);
+        if (this.outputFileSystem === MEMORY) {
+            // Every compiler gets its own volume, which is thrown away with the compiler
+            compiler.outputFileSystem = createFsFromVolume(new Volume());
+        }
 
         // kick off an initial build (active compilers are going to be in watch mode)
-        const watching = compiler.watch(
-            {
-                // TODO: do we... parameterize this? should we get this from the config?
-                aggregateTimeout: 1000,
-                poll: undefined,
-            },
-            (err) => {
-                if (err !== null) {
-                    err && logError(err);
-                    manager.setStatus(configName, ERROR, [err]);
-                }
+        const watching = compiler.watch(this.getWatchOptions(config), (err) => {
+            if (err !== null) {
+                err && this.log.error(err);
+                this.manager.setStatus(configName, ERROR, [err]);
             }
-        );
+        });
 
         // cache the watch object and compiler so we can close its building later
-        manager.manageCompiler(configName, compiler, watching);
+        this.manager.manageCompiler(configName, compiler, watching);
 
         // Resolve immediately, and let the next thing in the chain know that the compiler
         // is still building.
         return Promise.resolve(true);
     }
 
+    /**
+     * @returns {Array<string>} - names of the configs from the `prewarm` option
+     */
+    getPrewarmConfigNames() {
+        const configNames =
+            typeof this.prewarm === "function"
+                ? this.prewarm(this.configs)
+                : this.prewarm;
+        return [].concat(configNames || []);
+    }
+
+    /**
+     * Starts compilers for the given configs in the background, without waiting for
+     * anyone to request their assets. This never evicts anything to make room, so
+     * configs that would put us over maxCompilers are skipped.
+     * @param {Array<string>} configNames - names of the configs to start
+     * @param {boolean} $1.pin - if true, also pin the configs we start
+     * @returns {Promise<Array<string>>} - names of the configs we started compilers for
+     */
+    prewarmConfigs(configNames, { pin = false } = {}) {
+        const builds = [];
+        configNames.forEach((configName) => {
+            if (!this.configs.some(({ name }) => name === configName)) {
+                this.log.error(
+                    `Trying to prewarm config: ${configName}, but it can't be found.`
+                );
+                return;
+            }
+            if (this.manager.isCompilerActive(configName)) {
+                return;
+            }
+            if (
+                this.maxCompilers !== 0 &&
+                this.manager.countActiveCompilers() >= this.maxCompilers
+            ) {
+                this.log.notice(
+                    `Not prewarming ${configName}; there are already ${this.maxCompilers} compilers running.`
+                );
+                return;
+            }
+            if (pin) {
+                this.pinConfig(configName);
+            }
+            this.log.notice(`Prewarming ${configName}.`);
+            builds.push(this.buildConfig(configName).then(() => configName));
+        });
+        return Promise.all(builds);
+    }
+
     /**
      * Given specifications around the resource constraints of the machine that
-     * this middleware is running on, this method will determine if a compiler
-     * needs to be closed to make room for another. Returns a promise.
+     * this middleware is running on, this method will determine if any compilers
+     * need to be closed to make room for another. Returns a promise.
      * TODO: This whole method should probably be done from within the CompilerManager
      *
      * @param {number} maxCompilers - What's the max number of compilers to keep alive?
      *      Set to 0 if we should never evict.
      * @param {string} configName - The name of the compiler/config we'd be making room for.
-     * @returns {Promise<string|null>} - name of evicted compiler, or null if we did nothing.
+     * @param {string} requestId - ID of the request we're making room for, if any.
+     * @returns {Promise<Array<string>>} - names of evicted compilers, if any.
      */
-    closeCompilersIfNeeded(maxCompilers, configName) {
-        // Don't evict anything if maxCompilers is 0, or if there's already a compiler
-        // running for the config we want to build.
-        if (maxCompilers === 0 || manager.isCompilerActive(configName)) {
-            return Promise.resolve(null);
+    closeCompilersIfNeeded(maxCompilers, configName, requestId = null) {
+        // Don't evict anything if there's already a compiler running for the config we
+        // want to build.
+        if (this.manager.isCompilerActive(configName)) {
+            return Promise.resolve([]);
+        }
+
+        return this.closeCompilersOverLimit(
+            maxCompilers,
+            configName,
+            requestId
+        ).then((evictedForLimit) =>
+            this.closeCompilersOverMemoryBudget(
+                configName,
+                requestId
+            ).then((evictedForMemory) => evictedForLimit.concat(evictedForMemory))
+        );
+    }
+
+    /**
+     * Closes the least used compiler if starting another one would put us over
+     * maxCompilers.
+     * @param {number} maxCompilers - Set to 0 if we should never evict.
+     * @param {string} configName - The name of the compiler/config we'd be making room for.
+     * @param {string} requestId - ID of the request we're making room for, if any.
+     * @returns {Promise<Array<string>>} - names of evicted compilers, if any.
+     */
+    closeCompilersOverLimit(maxCompilers, configName, requestId = null) {
+        if (maxCompilers === 0) {
+            return Promise.resolve([]);
         }
 
         // Get the number of currently running compilers
-        const activeCompilerCount = manager.countActiveCompilers();
+        const activeCompilerCount = this.manager.countActiveCompilers();
 
         // If we're not going to go above our limit, then we don't need to do anything.
         // Note that we do > and not >= here, since this method is called before
         // creating a new compiler; we want there to be space to add one more.
         if (maxCompilers > activeCompilerCount) {
-            return Promise.resolve(null);
+            return Promise.resolve([]);
         }
 
         // It seems we need to close a compiler.
         // Figure out what compiler was least recently used.
-        const compilerToEvict = manager.getLeastUsedCompiler();
-        const compilerStats = manager.getInfoForCompiler(compilerToEvict);
+        const compilerToEvict = this.manager.getLeastUsedCompiler();
+        if (!compilerToEvict) {
+            // Pinned compilers are never evicted, even if that puts us over the limit.
+            this.log.notice(
+                `Every active compiler is pinned, so we're starting ${configName} ` +
+                    `even though that's more than ${maxCompilers} compilers.`,
+                { requestId }
+            );
+            return Promise.resolve([]);
+        }
+
+        // TODO: We should do something with the stats here and provide recommendations,
+        // like "wow you're evicting a lot. you may want to rebalance your entries or
+        // increase your limit"
+        return this.evictCompiler(
+            compilerToEvict,
+            REASON_CAPACITY,
+            requestId
+        ).then((name) => [name]);
+    }
+
+    /**
+     * Closes least used compilers until the process is back under maxHeapMB and
+     * maxRssMB. Memory isn't given back until the garbage collector gets around to it,
+     * so we use the footprint we recorded for each compiler when it started to estimate
+     * how much we've freed. If we don't know a compiler's footprint, we stop after
+     * evicting it rather than evicting everything. A footprint of 0 or less (the garbage
+     * collector ran during the compiler's first build) counts as unknown.
+     * @param {string} configName - The name of the compiler/config we'd be making room for.
+     * @param {string} requestId - ID of the request we're making room for, if any.
+     * @param {object} freedMB - estimate of the heap and rss we've freed so far, in MB
+     * @returns {Promise<Array<string>>} - names of evicted compilers, if any.
+     */
+    closeCompilersOverMemoryBudget(
+        configName,
+        requestId = null,
+        freedMB = { heapUsed: 0, rss: 0 }
+    ) {
+        const overBudgetMB = this.getMemoryOverBudgetMB(freedMB);
+        if (overBudgetMB.heapUsed === 0 && overBudgetMB.rss === 0) {
+            return Promise.resolve([]);
+        }
+
+        const compilerToEvict = this.manager.getLeastUsedCompiler();
+        if (!compilerToEvict) {
+            this.log.notice(
+                `Kevin is over its memory budget, but there's nothing left to evict ` +
+                    `before starting ${configName}.`,
+                { requestId }
+            );
+            return Promise.resolve([]);
+        }
+
+        const { approximateMemoryUsage } = this.manager.getInfoForCompiler(
+            compilerToEvict
+        );
+        const freedByEviction = {
+            heapUsed: approximateMemoryUsage
+                ? Math.max(approximateMemoryUsage.heapUsed, 0)
+                : 0,
+            rss: approximateMemoryUsage ? Math.max(approximateMemoryUsage.rss, 0) : 0,
+        };
+        return this.evictCompiler(compilerToEvict, REASON_MEMORY, requestId).then(
+            (name) => {
+                // Evicting more wouldn't bring our estimate any closer to the budget
+                if (
+                    (overBudgetMB.heapUsed > 0 && freedByEviction.heapUsed === 0) ||
+                    (overBudgetMB.rss > 0 && freedByEviction.rss === 0)
+                ) {
+                    return [name];
+                }
+                return this.closeCompilersOverMemoryBudget(configName, requestId, {
+                    heapUsed: freedMB.heapUsed + freedByEviction.heapUsed,
+                    rss: freedMB.rss + freedByEviction.rss,
+                }).then((evicted) => [name].concat(evicted));
+            }
+        );
+    }
+
+    /**
+     * Works out how far over maxHeapMB and maxRssMB the process is. A budget of 0 is
+     * never exceeded.
+     * @param {object} freedMB - heap and rss (in MB) to consider already freed
+     * @returns {object} - heap and rss (in MB) over budget, or 0 for each one that isn't
+     */
+    getMemoryOverBudgetMB(freedMB = { heapUsed: 0, rss: 0 }) {
+        const { heapUsed, rss } = this.manager.getMemoryUsageInMB();
+        return {
+            heapUsed:
+                this.maxHeapMB > 0
+                    ? Math.max(heapUsed - freedMB.heapUsed - this.maxHeapMB, 0)
+                    : 0,
+            rss: this.maxRssMB > 0 ? Math.max(rss - freedMB.rss - this.maxRssMB, 0) : 0,
+        };
+    }
+
+    /**
+     * The watch options we use for a config: its own `watchOptions` on top of ours.
+     * @param {object} config - a webpack config
+     * @returns {object}
+     */
+    getWatchOptions(config) {
+        return { ...this.watchOptions, ...config.watchOptions };
+    }
+
+    /**
+     * Scripts that run in the browser use this to find our event stream. It's relative
+     * to the page's origin unless kevinPublicPath is set.
+     * @returns {string}
+     */
+    getEventsUrl() {
+        return `${this.kevinPublicPath || ""}${this.kevinApiPrefix}/events`;
+    }
+
+    /**
+     * Makes a copy of the given config that supports Hot Module Replacement: the HMR
+     * plugin is added (unless it's already there), and every entrypoint gets our client,
+     * which applies updates as they're announced on the event stream.
+     * @param {object} config - a webpack config
+     * @returns {object} - the new webpack config
+     */
+    getHotConfig(config) {
+        // hotClient.js reads this with decodeURIComponent
+        const query =
+            `compiler=${encodeURIComponent(config.name)}` +
+            `&events=${encodeURIComponent(this.getEventsUrl())}`;
+        const plugins = config.plugins || [];
+        const hasHmrPlugin = plugins.some(
+            (plugin) => plugin instanceof webpack.HotModuleReplacementPlugin
+        );
+        return {
+            ...config,
+            entry: prependToEntry(
+                // webpack's default entry
+                config.entry || "./src",
+                `${require.resolve("./hotClient")}?${query}`
+            ),
+            plugins: hasHmrPlugin
+                ? plugins
+                : plugins.concat(new webpack.HotModuleReplacementPlugin()),
+        };
+    }
+
+    /**
+     * Closes the given compiler, giving the compilerClose hook a chance to change our
+     * mind about which compiler that should be.
+     * @param {string} compilerToEvict - name of the compiler to close
+     * @param {string} reason - why we're closing it: "capacity", "memory" or "idle"
+     * @param {string} requestId - ID of the request that needed the room, if any
+     * @returns {Promise<string|null>} - name of the evicted compiler
+     */
+    evictCompiler(compilerToEvict, reason, requestId = null) {
+        const compilerStats = this.manager.getInfoForCompiler(compilerToEvict);
 
         // Let the hooks have the option of updating our eviction decision before we do
         // anything with it.
-        const options = { compilerToEvict, compilerStats };
+        const options = { compilerToEvict, compilerStats, reason, requestId };
         this.hooks.compilerClose.call(options);
 
-        // TODO: We should do something with the stats here and provide recommendations,
-        // like "wow you're evicting a lot. you may want to rebalance your entries or
-        // increase your limit"
-        // TODO: Also make sure there are no outstanding callbacks!!
-        return manager.closeCompiler(options.compilerToEvict).then((name) => {
-            logNotice(
-                `We stopped compiling ${compilerToEvict} to free some resources.`
+        // Any requests still waiting on this compiler are rejected once it closes.
+        return this.manager.closeCompiler(options.compilerToEvict).then((name) => {
+            this.events.send("evict", { compiler: name, reason });
+            this.log.notice(
+                reason === REASON_IDLE
+                    ? `We stopped compiling ${name} because nobody has used it lately.`
+                    : `We stopped compiling ${name} to free some resources.`,
+                { requestId }
             );
             return name;
         });
@@ -268,88 +910,408 @@ class Kevin {
      * @param {function} $0.next - Express next callback
      * @param {bool} $0.isNewCompiler - is true if we've started a new compiler and aren't
      *      ready to serve anything yet.
+     * @param {bool} $0.isEntrypoint - is true if the asset is one of the config's
+     *      entrypoints, rather than a chunk or some other emitted file.
      * @param {string} $0.assetName - the name of the asset to serve
+     * @param {string} $0.entryName - the name of the entrypoint, if we matched it by its
+     *      filename (see getEntrypointMatch)
      * @param {bool} $0.buildOnly - true if we shouldn't worry about serving the file
      * @param {string} $0.configName - the name of the config responsible for this request
      *      if kevinApiPrefix is provided.
      * @param {string} $0.perfMarkerPrefix - string to prefix any perf markers sent by kevin
+     * @param {string} $0.requestId - ID of the request, for logging
+     * @returns {Promise} - resolves once the response has been sent
      */
     serveAsset({
         req,
         res,
         next,
         isNewCompiler,
+        isEntrypoint = true,
         assetName,
+        entryName = null,
         configName,
         perfMarkerPrefix,
+        requestId,
     } = {}) {
         // If the compiler is going through its first build, serve an overlay until it's
         // finished (the first build takes more time because the cache is cold).
-        if (isNewCompiler) {
+        if (isNewCompiler && isEntrypoint) {
             res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
             res.setHeader("X-Kevin-Middleware-Version", PLUGIN_VERSION);
             res.statusCode = 200;
-            const kevinBuildStatusUrl = this.kevinPublicPath
-                ? `${this.kevinPublicPath}${this.kevinApiPrefix}/build-status`
+            const kevinApiUrl = this.kevinPublicPath
+                ? `${this.kevinPublicPath}${this.kevinApiPrefix}`
                 : null;
             const content = buildingTemplate(
                 assetName,
                 configName,
-                kevinBuildStatusUrl,
+                kevinApiUrl && `${kevinApiUrl}/build-status`,
                 this.additionalOverlayInfo,
-                perfMarkerPrefix
+                perfMarkerPrefix,
+                kevinApiUrl && `${kevinApiUrl}/events`
             );
-            logInfo(`Serving temporary asset for ${assetName}...`);
+            this.log.info(`Serving temporary asset for ${assetName}...`, { requestId });
             res.setHeader("Content-Length", content.length);
             res.send(content);
-            return;
+            return Promise.resolve();
         }
 
         // If we only build things, then let another middleware deal with
-        // handling the response.
-        if (this.buildOnly) {
+        // handling the response. The overlay is javascript, so there's nothing
+        // useful we can send back for non-entrypoints that haven't been built yet.
+        if (this.buildOnly || isNewCompiler) {
             next();
-            return;
+            return Promise.resolve();
         }
 
         // The grand finale: serve file from output location
-        res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
+        const compiler = this.manager.getWebpackCompiler(configName);
+        const assetPath = this.getAssetPathToServe(configName, req.path, entryName);
+        return readFromOutputFileSystem(compiler, assetPath).then((content) => {
+            if (isEntrypoint && this.warningsInConsole) {
+                const warnings = this.manager.getWarningsForCompiler(configName);
+                if (warnings.length > 0) {
+                    content = Buffer.concat([
+                        content,
+                        Buffer.from(warningSummaryScript(configName, warnings)),
+                    ]);
+                }
+            }
+            if (isEntrypoint && this.liveReload && !this.hot) {
+                const hash = this.manager.getLastHashForCompiler(configName);
+                content = Buffer.concat([
+                    content,
+                    Buffer.from(
+                        liveReloadScript(configName, hash, this.getEventsUrl())
+                    ),
+                ]);
+            }
+            if (isEntrypoint) {
+                res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
+            } else {
+                // Chunks, stylesheets, source maps, fonts, images...
+                res.type(path.extname(assetPath));
+            }
+            res.setHeader("X-Kevin-Middleware-Version", PLUGIN_VERSION);
+            res.statusCode = 200;
+            res.setHeader("Content-Length", content.length);
+            // In-memory assets aren't anywhere on disk
+            if (this.outputFileSystem === DISK) {
+                res.setHeader("X-Kevin-Asset-Disk-Location", assetPath);
+            }
+            this.log.info(`Serving ${assetName}...`, { requestId });
+            res.send(content);
+        });
+    }
+
+    /**
+     * Waits for the config's compiler to finish its current build, giving up after
+     * buildTimeoutMs (if it's set).
+     * @param {string} configName
+     * @param {object} $1.req - Express request object, if a request is waiting
+     * @param {object} $1.res - Express response object, if a request is waiting
+     * @param {string} $1.requestId - ID of the waiting request, if there is one
+     * @returns {Promise<boolean>} - resolves like buildConfig does, or rejects with the
+     *      build's errors. If we give up, it rejects with an Error whose `code` is
+     *      BUILD_TIMEOUT. If the request goes away first, it never settles.
+     */
+    waitForBuild(configName, { req, res, requestId } = {}) {
+        const { promise, resolve, reject } = defer();
+        let timeout = null;
+        const deferred = this.manager.addDeferredCallback(
+            configName,
+            (response) => {
+                clearTimeout(timeout);
+                resolve(response);
+            },
+            (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            }
+        );
+        if (!deferred) {
+            return promise;
+        }
+
+        if (req && res) {
+            // If the browser gives up on the request (i.e. the tab was closed), nobody is
+            // waiting for the response anymore, so there's no point in sending it.
+            req.on("close", () => {
+                if (
+                    res.writableEnded ||
+                    !this.manager.removeDeferredCallback(configName, deferred)
+                ) {
+                    return;
+                }
+                clearTimeout(timeout);
+                this.log.info(
+                    `A request for ${configName} went away before its build finished.`,
+                    { requestId }
+                );
+            });
+        }
+
+        if (this.buildTimeoutMs > 0) {
+            timeout = setTimeout(() => {
+                this.manager.removeDeferredCallback(configName, deferred);
+                const err = new Error(
+                    `Kevin waited ${this.buildTimeoutMs}ms for ${configName} to finish ` +
+                        `building, but it's still going. It may have stalled.`
+                );
+                err.code = BUILD_TIMEOUT;
+                this.log.error(err.message, { requestId });
+                reject(err);
+                this.handleBuildTimeout(configName);
+            }, this.buildTimeoutMs);
+        }
+        return promise;
+    }
+
+    /**
+     * Does whatever buildTimeoutAction says to a compiler that a request gave up on. We
+     * only do it once per timeout window, no matter how many requests give up.
+     * @param {string} configName
+     */
+    handleBuildTimeout(configName) {
+        const lastAction = this.lastTimeoutActions.get(configName) || 0;
+        if (
+            this.buildTimeoutAction === TIMEOUT_ACTION_NONE ||
+            Date.now() - lastAction < this.buildTimeoutMs ||
+            !this.manager.isCompilerActive(configName)
+        ) {
+            return;
+        }
+        this.lastTimeoutActions.set(configName, Date.now());
+
+        if (this.buildTimeoutAction === TIMEOUT_ACTION_INVALIDATE) {
+            this.log.notice(
+                `Rebuilding ${configName}, since it seems to have stalled.`
+            );
+            this.manager.invalidateCompiler(configName);
+            return;
+        }
+        this.log.notice(`Restarting ${configName}, since it seems to have stalled.`);
+        this.restartCompiler(configName).catch(this.log.error);
+    }
+
+    /**
+     * Closes a config's compiler and starts a new one in its place.
+     * @param {string} configName
+     * @returns {Promise<string|null>} - the config's name, or null if its compiler
+     *      wasn't active
+     */
+    restartCompiler(configName) {
+        return this.manager.closeCompiler(configName).then((name) => {
+            if (!name) {
+                return null;
+            }
+            return this.buildConfig(name).then(() => name);
+        });
+    }
+
+    /**
+     * Finds the name of the file to serve from a compiler's last good build. Like
+     * getAssetPathToServe, entrypoints we matched by their filename are served from
+     * wherever that build put them.
+     * @param {string} configName
+     * @param {string} reqPath - the path of the requested asset
+     * @param {string} entryName - see getEntrypointMatch
+     * @returns {string} - relative to the output directory
+     */
+    getStaleAssetFilename(configName, reqPath, entryName = null) {
+        const entrypointFile =
+            entryName && this.manager.getLastGoodEntrypointFile(configName, entryName);
+        return (
+            entrypointFile ||
+            getOutputFilename(this.manager.getWebpackCompiler(configName), reqPath)
+        );
+    }
+
+    /**
+     * @param {string} configName
+     * @param {string} reqPath - the path of the requested asset
+     * @param {string} entryName - see getEntrypointMatch
+     * @returns {boolean} - true if staleWhileRebuilding is on, the config's compiler is
+     *      rebuilding or broken, and it's holding on to the asset from its last good build.
+     */
+    canServeStaleAsset(configName, reqPath, entryName = null) {
+        if (!this.staleWhileRebuilding || !this.manager.isCompilerActive(configName)) {
+            return false;
+        }
+        if (![BUILDING, ERROR].includes(this.manager.getStatus(configName))) {
+            return false;
+        }
+        const filename = this.getStaleAssetFilename(configName, reqPath, entryName);
+        return !!this.manager.getLastGoodAsset(configName, filename);
+    }
+
+    /**
+     * Serves an asset from its compiler's last good build, because the compiler is
+     * rebuilding or its latest build failed. See canServeStaleAsset.
+     * @param {object} $0.req - Express request object
+     * @param {object} $0.res - Express response object
+     * @param {bool} $0.isEntrypoint - is true if the asset is one of the config's
+     *      entrypoints, rather than a chunk or some other emitted file.
+     * @param {string} $0.assetName - the name of the asset to serve
+     * @param {string} $0.entryName - the name of the entrypoint, if we matched it by its
+     *      filename (see getEntrypointMatch)
+     * @param {string} $0.configName - the name of the config responsible for this request
+     * @param {string} $0.requestId - ID of the request, for logging
+     * @returns {Promise} - resolves once the response has been sent
+     */
+    serveStaleAsset({
+        req,
+        res,
+        isEntrypoint = true,
+        assetName,
+        entryName = null,
+        configName,
+        requestId,
+    } = {}) {
+        const filename = this.getStaleAssetFilename(configName, req.path, entryName);
+        const hasErrors = this.manager.getStatus(configName) === ERROR;
+        let content = this.manager.getLastGoodAsset(configName, filename);
+        if (isEntrypoint) {
+            content = Buffer.concat([
+                content,
+                Buffer.from(staleBuildScript(configName, hasErrors)),
+            ]);
+            if (this.liveReload && !this.hot) {
+                const hash = this.manager.getLastGoodHashForCompiler(configName);
+                content = Buffer.concat([
+                    content,
+                    Buffer.from(
+                        liveReloadScript(configName, hash, this.getEventsUrl())
+                    ),
+                ]);
+            }
+            res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
+        } else {
+            res.type(path.extname(filename));
+        }
         res.setHeader("X-Kevin-Middleware-Version", PLUGIN_VERSION);
+        res.setHeader("X-Kevin-Stale", "true");
         res.statusCode = 200;
-        const compiler = manager.getWebpackCompiler(configName);
-        const reqPath = req.path;
-        const assetPath = getPathToServe(compiler, reqPath);
-        const content = fs.readFileSync(assetPath);
         res.setHeader("Content-Length", content.length);
-        res.setHeader("X-Kevin-Asset-Disk-Location", assetPath);
-        logInfo(`Serving ${assetName}...`);
+        this.log.info(
+            hasErrors
+                ? `Serving the last good build of ${assetName}, because ${configName} is broken...`
+                : `Serving the last good build of ${assetName} while ${configName} rebuilds...`,
+            { requestId }
+        );
         res.send(content);
+        return Promise.resolve();
+    }
+
+    /**
+     * Describes a config and its compiler, for the internal API.
+     * @param {string} configName
+     * @returns {object|null} - the compiler's info (see CompilerManager#getInfoForCompiler)
+     *      or, if it isn't active, its "not-built" status and whether it's pinned. Both
+     *      include the config's watch options. Null if there's no config with that name.
+     */
+    getConfigInfo(configName) {
+        const config = this.configs.find((config) => config.name === configName);
+        if (!config) {
+            return null;
+        }
+        const info = this.manager.isCompilerActive(configName)
+            ? this.manager.getInfoForCompiler(configName)
+            : {
+                  status: NOT_BUILT,
+                  pinned: this.manager.isCompilerPinned(configName),
+              };
+        info.watchOptions = serializeWatchOptions(this.getWatchOptions(config));
+        return info;
+    }
+
+    /**
+     * Hands a request to the internal API, if its path is under the given prefix.
+     * Unknown routes under the prefix get a 404.
+     * @param {object} req - Express request object
+     * @param {object} res - Express response object
+     * @param {string} prefix - where the internal API is mounted
+     * @returns {boolean} - true if the request was for the internal API
+     */
+    handleApiRequest(req, res, prefix) {
+        const reqPath = req.path;
+        if (reqPath !== prefix && !reqPath.startsWith(`${prefix}/`)) {
+            return false;
+        }
+        const routePath = reqPath.slice(prefix.length) || "/";
+        if (!this.api.handle(req, res, routePath)) {
+            ApiRouter.sendError(
+                res,
+                404,
+                `Kevin's internal API doesn't have a ${routePath} route. ` +
+                    `See ${prefix}/ for a list of them.`
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Spits out a middleware that only serves the internal API, so that it can be
+     * mounted separately from asset serving (i.e. on another port, or behind auth).
+     * Pass `serveApi: false` to getMiddleware if you do.
+     * @param {string} $0.prefix - the path to serve the API from, relative to where the
+     *      middleware is mounted. Defaults to kevinApiPrefix.
+     */
+    getApiMiddleware({ prefix = this.kevinApiPrefix } = {}) {
+        const apiMiddleware = function kevinApiMiddleware(req, res, next) {
+            if (!this.handleApiRequest(req, res, prefix)) {
+                next();
+            }
+        };
+        return apiMiddleware.bind(this);
     }
 
     /**
      * This method spits out a middleware, based on Kevin's configuration, that'll serve
      * files owned and built by webpack.
+     * @param {boolean} $0.serveApi - set to false if the internal API is mounted
+     *      somewhere else, with getApiMiddleware.
      */
-    getMiddleware() {
+    getMiddleware({ serveApi = true } = {}) {
         // Let em know what's goin on
-        logInfo("");
-        logInfo("╒═════════════════════════════╕");
-        logInfo("│                             │");
-        logInfo("│   \x1b[1moh boy here comes kevin\x1b[0m   │");
-        logInfo("│     (middleware started)    │");
-        logInfo("│                             │");
-        logInfo("╘═════════════════════════════╛");
-        logInfo("");
-        logInfo("This middleware is currently managing the following configs:");
+        this.log.info("");
+        this.log.info("╒═════════════════════════════╕");
+        this.log.info("│                             │");
+        this.log.info("│   \x1b[1moh boy here comes kevin\x1b[0m   │");
+        this.log.info("│     (middleware started)    │");
+        this.log.info("│                             │");
+        this.log.info("╘═════════════════════════════╛");
+        this.log.info("");
+        this.log.info("This middleware is currently managing the following configs:");
         this.configs.forEach((config) => {
-            logInfo(`\t• ${config.name}`);
+            this.log.info(`\t• ${config.name}`);
         });
-        logInfo("");
+        this.log.info("");
 
-        this.hooks.start.call(this.configs, new PublicConfigManager(this, manager));
+        this.hooks.start.call(
+            this.configs,
+            new PublicConfigManager(this, this.manager)
+        );
+
+        if (this.idleTimeoutMinutes > 0) {
+            this.manager.startIdleChecks(this.idleTimeoutMinutes, (name) =>
+                this.evictCompiler(name, REASON_IDLE).catch(this.log.error)
+            );
+        }
+
+        this.prewarmConfigs(this.getPrewarmConfigNames(), {
+            pin: this.pinPrewarmedConfigs,
+        }).catch(this.log.error);
+
+        if (this.configs.some(({ entry }) => typeof entry === "function")) {
+            this.entryMapReady = this.refreshEntryMap()
+                .catch(this.log.error)
+                .then(() => {
+                    this.entryMapReady = null;
+                });
+        }
 
-        // TODO: Make a request ID if there isn't one already, and use it in logging so
-        // we know what logs are part of what requests.
         // It would be sick if this were a class, because it'd make tapping it a bit more
         // obvious, but Express throws an exception if `typeof` on your middleware is not
         // a function.
@@ -357,223 +1319,88 @@ class Kevin {
             // This is the name of the asset requested
             const reqPath = req.path;
 
-            // ========================================
             // Is it one of our internal API endpoints?
-            // TODO: This should probably use a Router
-            // ========================================
-            if (reqPath === `${this.kevinApiPrefix}/build-status`) {
-                // this endpoint shows the state of each compiler. the overlay
-                // uses this endpoint to know whether or not to reload the page
-                res.json(manager.getAllBuildStatuses());
+            if (serveApi && this.handleApiRequest(req, res, this.kevinApiPrefix)) {
                 return;
             }
 
-            if (reqPath === `${this.kevinApiPrefix}/compiler-info`) {
-                // this endpoint shows general details about each compiler,
-                // particularly metrics around its use and whether it may
-                // be eligible for eviction
-                // 2022 note: adding config names so this endpoint
-                // also shows the inactive compilers
-                const { compilers, leastUsedCompiler } = manager.getAllCompilerInfo();
-                this.configs.forEach(({ name }) => {
-                    if (Object.prototype.hasOwnProperty.call(compilers, name)) {
-                        return;
-                    }
-                    compilers[name] = { status: NOT_BUILT };
-                });
-
-                const hasMaxActiveCompilersBeenReached =
-                    this.hasMaxActiveCompilersBeenReached();
-
-                res.json({
-                    compilers,
-                    leastUsedCompiler,
-                    hasMaxActiveCompilersBeenReached,
-                });
-                return;
-            }
-
-            if (reqPath === `${this.kevinApiPrefix}/memory-usage`) {
-                // this endpoint lists memory stats for the process in
-                // which kevin is being run
-                res.json(manager.getHumanReadableMemoryUsage());
-                return;
-            }
-
-            if (
-                req.method === "POST" &&
-                reqPath === `${this.kevinApiPrefix}/restart-compiler`
-            ) {
-                // This endpoint restarts compilers. It accepts two query params:
-                // `compiler` (required), which is the name of the compiler, and
-                // `hard` (optional) which, if true, fully shuts down and restarts the compiler,
-                //          rather than just invalidating it and forcing a partial recompilation.
-                if (
-                    !req.query.compiler ||
-                    !manager.isCompilerActive(req.query.compiler)
-                ) {
-                    return res
-                        .status(400)
-                        .send(
-                            `Kevin couldn't find a compiler named ${req.query.compiler}.`
-                        );
-                }
-                // If hard is set to anything that looks like "true", let's force restart the compiler.
-                if (req.query.hard && req.query.hard.toLowerCase() === "true") {
-                    manager
-                        .closeCompiler(req.query.compiler)
-                        .then((name) => {
-                            if (!name) {
-                                return res
-                                    .status(400)
-                                    .send(
-                                        `Kevin couldn't find a compiler named ${req.query.compiler}.`
-                                    );
-                            }
-                            return this.buildConfig(name).then(() =>
-                                res.sendStatus(200)
-                            );
-                        })
-                        .catch((err) => {
-                            logError(err);
-                            res.status(500).send(
-                                `Something went wrong trying to restart ${req.query.compiler}. Check the logs for details.`
-                            );
-                        });
-
-                    return;
-                } else if (manager.invalidateCompiler(req.query.compiler)) {
-                    logInfo(`Soft-restarted compiler: ${req.query.compiler}`);
-                    res.sendStatus(200);
-                    return;
-                } else {
-                    logInfo(
-                        `Could not restart this compiler (does it exist?): ${req.query.compiler}`
-                    );
-                    res.status(400).send(
-                        "Kevin couldn't find a compiler with that name"
-                    );
-                    return;
-                }
-            }
-
-            if (
-                req.method === "POST" &&
-                reqPath === `${this.kevinApiPrefix}/stop-compiler`
-            ) {
-                // This endpoints stops a compiler. It accepts one query param:
-                // `compiler` (required), the name of the compiler to be stopped
-                if (
-                    !req.query.compiler ||
-                    !manager.isCompilerActive(req.query.compiler)
-                ) {
-                    return res
-                        .status(400)
-                        .send(
-                            `Kevin couldn't find a compiler named ${req.query.compiler}.`
-                        );
-                }
-
-                // Get the info for the compiler to be stopped...
-                const compilerToEvict = req.query.compiler;
-                const compilerStats = manager.getInfoForCompiler(compilerToEvict);
-
-                // Update the eviction decision
-                const options = { compilerToEvict, compilerStats };
-                this.hooks.compilerClose.call(options);
-
-                manager
-                    .closeCompiler(req.query.compiler)
-                    .then((name) => {
-                        if (!name) {
-                            return res
-                                .status(400)
-                                .send(
-                                    `Kevin couldn't find a compiler named ${req.query.compiler}.`
-                                );
-                        }
-                        logNotice(`Stopped compiler: ${req.query.compiler}`);
-                        return res.sendStatus(200);
-                    })
-                    .catch((err) => {
-                        logError(err);
-                        res.status(500).send(
-                            `Something went wrong trying to stop ${req.query.compiler}. Check the logs for details.`
-                        );
-                    });
-
+            // Requests for assets wait until we know what every config's entries are
+            if (this.entryMapReady) {
+                this.entryMapReady.then(() => middleware.call(this, req, res, next));
                 return;
             }
 
-            if (
-                req.method === "POST" &&
-                reqPath === `${this.kevinApiPrefix}/start-compiler`
-            ) {
-                // This endpoints starts a compiler. It accepts one query param:
-                // `compiler` (required), the name of the compiler to be started
-                if (
-                    !req.query.compiler ||
-                    manager.isCompilerActive(req.query.compiler)
-                ) {
-                    return res
-                        .status(400)
-                        .send(
-                            `Kevin couldn't find a inactive compiler named ${req.query.compiler}.`
-                        );
-                } else if (manager.countActiveCompilers() >= this.maxCompilers) {
-                    return res
-                        .status(400)
-                        .send(
-                            `${req.query.compiler} can't be started because Kevin has reached the maximum of active compilers. Please stop one first.`
-                        );
-                }
-
-                this.buildConfig(req.query.compiler)
-                    .then(() => res.sendStatus(200))
-                    .catch((err) => {
-                        logError(err);
-                        res.status(500).send(
-                            `Something went wrong trying to start ${req.query.compiler}. Check the logs for details.`
-                        );
-                    });
+            // Every request for an asset gets an ID, so we can tell which logs (and hook
+            // calls) are about which request when a page asks for lots of them at once.
+            const requestId = getRequestId(req);
 
-                return;
-            }
-
-            // Mangle the url to get asset name
-            const assetName = this.getAssetName(reqPath, req, res);
-            // Select appropriate config for given asset
-            const config = this.getConfigForAssetName(reqPath, assetName, this.configs);
+            const {
+                assetName,
+                configName,
+                isEntrypoint,
+                entryName,
+            } = this.resolveRequest(req, res);
             // Bail if none are found (this path may be handled by another middleware)
-            if (!config) {
-                // TODO: It may be a chunk file!! Make sure we either serve static
-                // assets, or tell users to serve their own output directory statically
-                logInfo(`Looks like we're not responsible for ${assetName}`);
+            if (!configName) {
+                this.log.debug(`Looks like we're not responsible for ${assetName}`, {
+                    requestId,
+                });
                 return next();
             }
-            const configName = config.name;
+            // Requests we pass along are none of our business, so only ours get the ID
+            res.setHeader("X-Request-Id", requestId);
             const perfMarkerPrefix = this.perfMarkerPrefix;
 
-            logInfo(`Using config "${configName}" to build ${assetName}`);
-            this.hooks.handleRequest.call(req, assetName, configName);
+            this.log.info(`Using config "${configName}" to build ${assetName}`, {
+                requestId,
+            });
+            this.hooks.handleRequest.call(req, assetName, configName, requestId);
 
             // If we're close to the compiler limit, make some room for a new one
-            this.closeCompilersIfNeeded(this.maxCompilers, configName)
-                .then(() => this.buildConfig(configName))
-                // serve this file once it's done building
-                .then((isNewCompiler = false) => {
-                    this.serveAsset({
-                        req,
+            this.closeCompilersIfNeeded(this.maxCompilers, configName, requestId)
+                .then(() => {
+                    // Nobody needs to wait on a rebuild (or see a broken build) if we
+                    // still have the last good version of this asset
+                    if (this.canServeStaleAsset(configName, reqPath, entryName)) {
+                        this.manager.noteCompilerUsage(configName);
+                        return this.serveStaleAsset({
+                            req,
+                            res,
+                            isEntrypoint,
+                            assetName,
+                            entryName,
+                            configName,
+                            requestId,
+                        });
+                    }
+                    return (
+                        this.buildConfig(configName, { req, res, requestId })
+                            // serve this file once it's done building
+                            .then((isNewCompiler = false) =>
+                                this.serveAsset({
+                                    req,
+                                    res,
+                                    next,
+                                    isNewCompiler,
+                                    isEntrypoint,
+                                    assetName,
+                                    entryName,
+                                    configName,
+                                    perfMarkerPrefix,
+                                    requestId,
+                                })
+                            )
+                    );
+                })
+                .catch((err) => {
+                    this.serveError({
                         res,
-                        next,
-                        isNewCompiler,
-                        assetName,
                         configName,
-                        perfMarkerPrefix,
+                        assetName,
+                        isEntrypoint,
+                        err,
+                        requestId,
                     });
-                })
-                .catch((err) => {
-                    this.serveError({ res, configName, assetName, err });
                     return;
                 });
         };
@@ -582,31 +1409,91 @@ class Kevin {
     }
 
     /**
-     * This serves some js that logs an error to the console. This is used for exposing
-     * build-time errors to the client.
+     * This serves some js that renders an overlay with every error from a failed build.
+     * This is used for exposing build-time errors to the client. Assets that aren't
+     * entrypoints (which may not even be javascript) just get a 500.
      * @param {object} $0.res - Express response object
-     * @param {Error|string} $0.err - The error you want to log
+     * @param {string} $0.configName - the name of the config that failed to build
+     * @param {string} $0.assetName - the name of the asset we were trying to serve
+     * @param {bool} $0.isEntrypoint - is true if the asset is one of the config's
+     *      entrypoints
+     * @param {Error|string|Array} $0.err - The error(s) you want to show
+     * @param {string} $0.requestId - ID of the request, for logging
      */
-    serveError({ res, configName, assetName = "", err = "" } = {}) {
-        res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
+    serveError({
+        res,
+        configName,
+        assetName = "",
+        isEntrypoint = true,
+        err = "",
+        requestId,
+    } = {}) {
+        // If the build failed, the compiler has more to say about it than the error does
+        const errors =
+            this.manager.isCompilerActive(configName) &&
+            this.manager.getStatus(configName) === ERROR
+                ? this.manager.getErrorDetailsForCompiler(configName)
+                : [].concat(err).map(getErrorDetails);
+        this.log.info(`Serving the errors from ${configName} for ${assetName}...`, {
+            requestId,
+        });
+
         res.setHeader("X-Kevin-Middleware-Version", PLUGIN_VERSION);
+        if (!isEntrypoint) {
+            // Stalled builds get a Gateway Timeout, since they might still finish
+            res.status(err && err.code === BUILD_TIMEOUT ? 504 : 500).send(
+                `The "${configName}" compiler encountered an error while building ` +
+                    `"${assetName}":\n\n${errors
+                        .map(({ message }) => message)
+                        .join("\n\n")}`
+            );
+            return;
+        }
+
+        res.setHeader("Content-Type", "application/javascript; charset=UTF-8");
         res.statusCode = 200;
-        const errMsg = (err.stack || err).toString();
-        const jsString = `
-    console.log(\`%c The "${configName}" compiler encountered an error${
-            assetName ? `while building "${assetName}"` : ""
-        }:%c
+        const kevinApiUrl = this.kevinPublicPath
+            ? `${this.kevinPublicPath}${this.kevinApiPrefix}`
+            : null;
+        res.send(
+            errorTemplate(
+                assetName,
+                configName,
+                errors,
+                kevinApiUrl && `${kevinApiUrl}/build-status`,
+                kevinApiUrl &&
+                    `${kevinApiUrl}/restart-compiler?compiler=${encodeURIComponent(
+                        configName
+                    )}`,
+                this.additionalOverlayInfo
+            )
+        );
+    }
 
-    ${JSON.stringify(errMsg)}
-    \`, 'font-weight: bold; font-size: 1.5em', '')`;
-        res.send(jsString);
+    /**
+     * Shuts down every compiler this instance is running. Requests that are still
+     * waiting on a build get an error, and every compiler stops watching files.
+     * Call this when your server is closing (or when a test is done with Kevin).
+     * @returns {Promise<Array<string>>} - resolves to the names of the closed compilers
+     *      once all of them have stopped.
+     */
+    close() {
+        const compilerNames = Object.keys(this.manager.getAllBuildStatuses());
+        this.hooks.shutdown.call(compilerNames);
+        this.events.close();
+        return this.manager.closeAll().then((names) => {
+            this.log.notice(
+                `Kevin closed ${names.length} compiler(s) and is shutting down.`
+            );
+            return names;
+        });
     }
 
     /** It determines whether Kevin has reached the maximum of active compilers or not
      * @returns {Boolean} True if Kevin is at the maximum, false if not.
      */
     hasMaxActiveCompilersBeenReached() {
-        const activeCompilerCount = manager.countActiveCompilers();
+        const activeCompilerCount = this.manager.countActiveCompilers();
         if (activeCompilerCount === this.maxCompilers) {
             return true;
         }
@@ -4,7 +4,8 @@
 
 const { parse } = require("url");
 const path = require("path");
-const { logError } = require("./logger");
+const crypto = require("crypto");
+const { defaultLogger } = require("./logger");
 
 /**
  * This is a naiive implementation of a Deferred, which makes it possible to resolve
@@ -22,17 +23,13 @@ const defer = function () {
 };
 
 /**
- * Given a compiler and a request path, determine where on disk the proper file should
- * be to fulfil the given request. Note that this function makes no guarantee that the
- * file actually exists.
- * @param {Compiler} compiler - an instance of a webpack compiler (single-compiler only)
- * @param {string} path - a request path (i.e. from express's req.path)
- * @return {string} the location of the file on disk
+ * Given a public path and a request path, determine the name of the requested file
+ * relative to the output directory that public path points to.
+ * @param {string} publicPath - i.e. webpack's `output.publicPath`
+ * @param {string} reqPath - a request path (i.e. from express's req.path)
+ * @return {string} the name of the file, relative to the output directory
  */
-const getPathToServe = function (compiler, reqPath) {
-    const outputPath = compiler.options.output.path;
-    const publicPath = compiler.options.output.publicPath;
-
+const stripPublicPath = function (publicPath, reqPath) {
     // Ok, this logic is a little weird so I'm gonna walk through it in detail.
 
     // The public URL represents a location on disk that we're serving things from:
@@ -54,17 +51,85 @@ const getPathToServe = function (compiler, reqPath) {
     //
     //      /webpack/js/your/entry.js -> your/entry.js
     let filename = reqPath;
-    if (reqPath.indexOf(urlPrefix) === 0) {
+    if (urlPrefix && reqPath.indexOf(urlPrefix) === 0) {
         filename = reqPath.substr(urlPrefix.length);
     }
 
-    // If all goes well, the requested path, minus the publich pathname, is a file
+    // Webpack never keys its assets with a leading slash
+    return filename.replace(/^\/+/, "");
+};
+
+/**
+ * Given a compiler and a request path, determine the name of the requested file relative
+ * to the compiler's output directory. This is the same name webpack uses to key the
+ * assets it emits (i.e. `app-a/a1.js` or `123.chunk.js`).
+ * @param {Compiler} compiler - an instance of a webpack compiler (single-compiler only)
+ * @param {string} reqPath - a request path (i.e. from express's req.path)
+ * @return {string} the name of the file, relative to the output directory
+ */
+const getOutputFilename = function (compiler, reqPath) {
+    return stripPublicPath(compiler.options.output.publicPath, reqPath);
+};
+
+/**
+ * Given a compiler and a request path, determine where on disk the proper file should
+ * be to fulfil the given request. Note that this function makes no guarantee that the
+ * file actually exists.
+ * @param {Compiler} compiler - an instance of a webpack compiler (single-compiler only)
+ * @param {string} path - a request path (i.e. from express's req.path)
+ * @return {string} the location of the file on disk
+ */
+const getPathToServe = function (compiler, reqPath) {
+    const outputPath = compiler.options.output.path;
+
+    // If all goes well, the requested path, minus the public pathname, is a file
     // in the output directory configured in webpack.
-    const assetLocation = path.join(outputPath, filename);
+    const assetLocation = path.join(outputPath, getOutputFilename(compiler, reqPath));
 
     return assetLocation;
 };
 
+/**
+ * Reads a file from the given compiler's output filesystem, which may be the disk or
+ * an in-memory filesystem, without blocking the event loop.
+ * @param {Compiler} compiler - an instance of a webpack compiler (single-compiler only)
+ * @param {string} assetPath - absolute path to the file (i.e. from getPathToServe)
+ * @return {Promise<Buffer>} the contents of the file
+ */
+const readFromOutputFileSystem = function (compiler, assetPath) {
+    return new Promise((resolve, reject) => {
+        compiler.outputFileSystem.readFile(assetPath, (err, content) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(content);
+        });
+    });
+};
+
+/**
+ * Boils an error down to the bits we need to show it to someone in the browser. Build
+ * errors from webpack's stats (`stats.toJson().errors`) come with the module they were
+ * found in and where, and their messages usually include a code frame. Anything else
+ * (Errors, strings) just gets a message.
+ * @param {Object|Error|string} error
+ * @return {Object} - `{ message, moduleName, loc }`
+ */
+const getErrorDetails = function (error) {
+    // Loaders like to color their code frames for the terminal; browsers don't get it
+    // eslint-disable-next-line no-control-regex
+    const stripColors = (str) => String(str).replace(/\u001b\[[0-9;]*m/g, "");
+    if (!error || typeof error !== "object") {
+        return { message: stripColors(error), moduleName: null, loc: null };
+    }
+    return {
+        message: stripColors(error.message || error.stack || error),
+        moduleName: error.moduleName || null,
+        loc: typeof error.loc === "string" ? error.loc : null,
+    };
+};
+
 /**
  * An important part of this middleware is being able to uniquely identify each config.
  * This function takes an array of configs (i.e. a multi-compiler config) and ensures
@@ -101,49 +166,294 @@ const validateConfigs = function (configs) {
     return configArray;
 };
 
+/**
+ * Works out what a request for an entrypoint would be called (after the default
+ * getAssetName strips its leading slash and `.js`), given the template for its filename.
+ * We can only do this for templates whose only placeholder is `[name]`; for anything
+ * else (hashes, functions, or no template at all), the entry's name is the best we've got.
+ * @param {string|function} filenameTemplate - i.e. `output.filename`
+ * @param {string} entryName
+ * @returns {string}
+ */
+const getEntryRequestName = function (filenameTemplate, entryName) {
+    if (typeof filenameTemplate !== "string") {
+        return entryName;
+    }
+    const filename = filenameTemplate.replace(/\[name\]/g, entryName);
+    if (filename.includes("[")) {
+        return entryName;
+    }
+    return filename.replace(/^\/+/, "").replace(/\.js$/, "");
+};
+
+/**
+ * Lists the names that requests for a config's entrypoints go by.
+ * @param {object} config - a webpack config
+ * @param {string|Array|Object} entry - the config's `entry`, resolved if it's a function
+ * @returns {Array<string>}
+ */
+const getEntryRequestNames = function (config, entry) {
+    const outputFilename = config.output && config.output.filename;
+    // If you use a string or an array for `entry`, then the output chunk is `main`, and
+    // its file is named after output.filename.
+    if (typeof entry === "string" || Array.isArray(entry)) {
+        return [getEntryRequestName(outputFilename, "main")];
+    }
+    return Object.keys(entry).map((name) => {
+        const value = entry[name];
+        // Entry descriptors can have their own filename
+        const isDescriptor =
+            value && typeof value === "object" && !Array.isArray(value);
+        return isDescriptor && value.filename
+            ? getEntryRequestName(value.filename, name)
+            : name;
+    });
+};
+
+/**
+ * Calls the `entry` function of every config that has one, since webpack lets entries
+ * be (async) functions.
+ * @param {array} configs
+ * @returns {Promise<Object>} - maps the names of those configs to their entries
+ */
+const resolveDynamicEntries = function (configs) {
+    const dynamicConfigs = configs.filter(({ entry }) => typeof entry === "function");
+    return Promise.all(dynamicConfigs.map(({ entry }) => entry())).then((entries) =>
+        dynamicConfigs.reduce((resolvedEntries, { name }, i) => {
+            resolvedEntries[name] = entries[i];
+            return resolvedEntries;
+        }, {})
+    );
+};
+
 /**
  * Given an array of webpack configs (i.e. a multicompiler config), generate a mapping
- * from entrypoints to the name of the config responsible for it.
+ * from entrypoints to the names of the configs responsible for them.
  *
  * This used to throw an exception if multiple configs were capable of handling the same
  * entrypoint. Now it will return a list of possible configs, and it is up to whoever is
  * utilizing this map to correctly extract the correct config name.
+ *
+ * Entries that are functions are left out until they've been resolved (see
+ * resolveDynamicEntries) and passed in as resolvedEntries.
  * @param {array} configs
+ * @param {object} logger - where to log, see logger.createLogger
+ * @param {object} resolvedEntries - maps config names to their resolved entry functions
+ * @returns {Object<string, Array<string>>}
  */
-const initializeEntryMap = function (configs) {
+const initializeEntryMap = function (
+    configs,
+    logger = defaultLogger,
+    resolvedEntries = {}
+) {
     const entryMap = {};
     configs.forEach((config) => {
-        const { name: configName, entry } = config;
+        const { name: configName } = config;
+        let { entry } = config;
         if (!entry) {
-            logError(`Config "${configName}" doesn't have the "entry" key set`);
+            logger.error(`Config "${configName}" doesn't have the "entry" key set`);
             return;
         }
-        // if you use a string or an array for `entry`, then the output chunk is `main`.
-        if (typeof entry === "string" || Array.isArray(entry)) {
-            if (entryMap.main) {
-                throw new Error(
-                    `Entrypoint 'main' is built by both ${entryMap.main} ` +
-                        `and ${configName}. You should consider object syntax for ` +
-                        `defining the 'entry' property.`
-                );
+        if (typeof entry === "function") {
+            entry = resolvedEntries[configName];
+            if (!entry) {
+                return;
             }
-            entryMap.main = configName;
-        } else {
-            Object.keys(entry).forEach((key) => {
-                if (entryMap[key]) {
-                    entryMap[key].push(configName);
-                } else {
-                    entryMap[key] = [configName];
-                }
-            });
         }
+        getEntryRequestNames(config, entry).forEach((key) => {
+            if (!entryMap[key]) {
+                entryMap[key] = [configName];
+            } else if (!entryMap[key].includes(configName)) {
+                entryMap[key].push(configName);
+            }
+        });
     });
     return entryMap;
 };
 
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Turns the template for an entrypoint's filename into a regular expression that matches
+ * the names its file could be emitted under. `[name]` is the entry's name, and hashes
+ * match anything that could stand in for them (with exactly as many characters, if they
+ * have a length, like `[contenthash:8]`). We give up on functions, on templates without
+ * `[name]` (since chunks are usually named with the same template, only the name tells
+ * an entrypoint apart from them) and on any other placeholder, like `[id]`.
+ * @param {string|function} filenameTemplate - i.e. `output.filename`
+ * @param {string} entryName
+ * @returns {RegExp|null}
+ */
+const getFilenamePattern = function (filenameTemplate, entryName) {
+    if (typeof filenameTemplate !== "string" || !filenameTemplate.includes("[name]")) {
+        return null;
+    }
+    const parts = filenameTemplate
+        .replace(/^\/+/, "")
+        .split(/(\[[^\]]*\])/)
+        .map((part) => {
+            if (part === "[name]") {
+                return escapeRegExp(entryName);
+            }
+            const hash = /^\[(?:fullhash|hash|chunkhash|contenthash)(?::(\d+))?\]$/.exec(
+                part
+            );
+            if (hash) {
+                return hash[1] ? `[\\w-]{${hash[1]}}` : "[\\w-]+";
+            }
+            return part.startsWith("[") ? null : escapeRegExp(part);
+        });
+    if (parts.includes(null)) {
+        return null;
+    }
+    return new RegExp(`^${parts.join("")}$`);
+};
+
+/**
+ * Given an array of webpack configs, make matchers that map request paths to the
+ * entrypoints they're for, based on each config's `output.filename` (or an entry
+ * descriptor's `filename`) and `output.publicPath`. This finds entrypoints the entry map
+ * can't, like `[name].bundle.js` or `js/[name].[contenthash].js`, without a custom
+ * getAssetName. See matchEntryRequest.
+ *
+ * Like initializeEntryMap, entries that are functions are left out until they've been
+ * resolved.
+ * @param {array} configs
+ * @param {object} resolvedEntries - maps config names to their resolved entry functions
+ * @returns {Array<{ configName: string, entryName: string, publicPath: string|null, pattern: RegExp }>}
+ */
+const initializeEntryMatchers = function (configs, resolvedEntries = {}) {
+    const matchers = [];
+    configs.forEach((config) => {
+        const { name: configName } = config;
+        let { entry } = config;
+        if (typeof entry === "function") {
+            entry = resolvedEntries[configName];
+        }
+        if (!entry) {
+            return;
+        }
+        const output = config.output || {};
+        const outputFilename = output.filename || "[name].js";
+        // webpack 5 defaults to an "auto" public path, which is worked out in the
+        // browser. Like getPathToServe, we treat it (and no public path) as the root.
+        const publicPath =
+            typeof output.publicPath === "string" &&
+            output.publicPath !== "" &&
+            output.publicPath !== "auto"
+                ? output.publicPath
+                : null;
+
+        // String and array entries make a single `main` chunk
+        const entries =
+            typeof entry === "string" || Array.isArray(entry) ? { main: entry } : entry;
+        Object.keys(entries).forEach((entryName) => {
+            const value = entries[entryName];
+            // Entry descriptors can have their own filename
+            const isDescriptor =
+                value && typeof value === "object" && !Array.isArray(value);
+            const filenameTemplate =
+                isDescriptor && value.filename ? value.filename : outputFilename;
+            const pattern = getFilenamePattern(filenameTemplate, entryName);
+            if (pattern) {
+                matchers.push({ configName, entryName, publicPath, pattern });
+            }
+        });
+    });
+    return matchers;
+};
+
+/**
+ * Finds the entrypoints a request could be for.
+ * @param {Array<object>} matchers - from initializeEntryMatchers
+ * @param {string} reqPath - a request path (i.e. from express's req.path)
+ * @returns {Array<{ configName: string, entryName: string }>}
+ */
+const matchEntryRequest = function (matchers, reqPath) {
+    return matchers
+        .filter(({ publicPath, pattern }) => {
+            if (!publicPath) {
+                return pattern.test(reqPath.replace(/^\/+/, ""));
+            }
+            // Unlike getOutputFilename, the request has to be under the public path
+            const urlPrefix = parse(publicPath, false, true).pathname;
+            if (urlPrefix && !reqPath.startsWith(urlPrefix)) {
+                return false;
+            }
+            return pattern.test(stripPublicPath(publicPath, reqPath));
+        })
+        .map(({ configName, entryName }) => ({ configName, entryName }));
+};
+
+/**
+ * Adds a module to the start of every entrypoint in a webpack `entry` option, without
+ * changing the original. Handles every shape `entry` can take: a string, an array, an
+ * object of those or of entry descriptors, or a function that returns any of them.
+ * @param {string|Array|Object|function} entry - a webpack config's `entry` option
+ * @param {string} module - the request for the module to add, i.e. a path
+ * @return {string|Array|Object|function} the new `entry` option
+ */
+const prependToEntry = function (entry, module) {
+    if (typeof entry === "function") {
+        return () =>
+            Promise.resolve(entry()).then((resolvedEntry) =>
+                prependToEntry(resolvedEntry, module)
+            );
+    }
+    if (typeof entry === "string" || Array.isArray(entry)) {
+        return [module].concat(entry);
+    }
+    return Object.keys(entry).reduce((newEntry, name) => {
+        const value = entry[name];
+        // Entry descriptors keep their modules in `import`
+        newEntry[name] =
+            value && typeof value === "object" && !Array.isArray(value)
+                ? { ...value, import: prependToEntry(value.import, module) }
+                : prependToEntry(value, module);
+        return newEntry;
+    }, {});
+};
+
+/**
+ * Makes a copy of webpack's watch options that can be serialized as JSON. `ignored` may
+ * be a regular expression, which would otherwise show up as an empty object.
+ * @param {object} watchOptions - see https://webpack.js.org/configuration/watch/
+ * @return {object}
+ */
+const serializeWatchOptions = function (watchOptions) {
+    const { ignored } = watchOptions;
+    return ignored instanceof RegExp
+        ? { ...watchOptions, ignored: ignored.toString() }
+        : { ...watchOptions };
+};
+
+/**
+ * Finds the ID of a request, so that everything we log about it can be tied together.
+ * We reuse the X-Request-Id header if there is one (i.e. a proxy in front of us already
+ * set it) and it looks sane; otherwise we make one up.
+ * @param {object} req - Express request object
+ * @return {string}
+ */
+const getRequestId = function (req) {
+    const incomingId = req.get("X-Request-Id");
+    if (incomingId && /^[\w\-.:]{1,128}$/.test(incomingId)) {
+        return incomingId;
+    }
+    return crypto.randomUUID();
+};
+
 module.exports = {
+    getOutputFilename,
     getPathToServe,
+    readFromOutputFileSystem,
     validateConfigs,
     defer,
+    getErrorDetails,
     initializeEntryMap,
+    initializeEntryMatchers,
+    matchEntryRequest,
+    resolveDynamicEntries,
+    prependToEntry,
+    serializeWatchOptions,
+    getRequestId,
 };
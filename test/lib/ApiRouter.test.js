@@ -0,0 +1,75 @@
+"use strict";
+
+const ApiRouter = require("../../lib/ApiRouter");
+
+const getMockResponse = () => {
+    const res = { json: jest.fn(), setHeader: jest.fn() };
+    res.status = jest.fn(() => res);
+    return res;
+};
+
+describe("ApiRouter", () => {
+    const getRouter = () => {
+        const router = new ApiRouter();
+        router
+            .get("/things", "Lists things.", jest.fn())
+            .get("/things/:name", "Shows a thing.", jest.fn())
+            .post("/things/:name", "Changes a thing.", jest.fn());
+        return router;
+    };
+
+    it("should call the handler for the matching route, with its params", () => {
+        const router = getRouter();
+        const req = { method: "POST" };
+        const res = getMockResponse();
+        expect(router.handle(req, res, "/things/big%20one")).toEqual(true);
+        expect(router.routes[2].handler).toHaveBeenCalledWith(req, res, {
+            name: "big one",
+        });
+        expect(router.routes[1].handler).not.toHaveBeenCalled();
+    });
+
+    it("should handle trailing slashes and HEAD requests", () => {
+        const router = getRouter();
+        expect(
+            router.handle({ method: "HEAD" }, getMockResponse(), "/things/")
+        ).toEqual(true);
+        expect(router.routes[0].handler).toHaveBeenCalled();
+    });
+
+    it("should respond with a 405 if the path matches but the method doesn't", () => {
+        const router = getRouter();
+        const res = getMockResponse();
+        expect(router.handle({ method: "DELETE" }, res, "/things/nick")).toEqual(true);
+        expect(res.setHeader).toHaveBeenCalledWith("Allow", "GET, POST");
+        expect(res.status).toHaveBeenCalledWith(405);
+        expect(res.json).toHaveBeenCalledWith({
+            error: "/things/nick doesn't accept DELETE requests. Use GET or POST.",
+        });
+    });
+
+    it("should respond with a 400 if a param can't be decoded", () => {
+        const router = getRouter();
+        const res = getMockResponse();
+        expect(router.handle({ method: "GET" }, res, "/things/%E0%A4%A")).toEqual(true);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            error: "/things/%E0%A4%A isn't a valid URL path.",
+        });
+        expect(router.routes[1].handler).not.toHaveBeenCalled();
+    });
+
+    it("should leave requests for other paths alone", () => {
+        const res = getMockResponse();
+        expect(getRouter().handle({ method: "GET" }, res, "/stuff")).toEqual(false);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it("should list its routes", () => {
+        expect(getRouter().getRoutes()).toEqual([
+            { method: "GET", path: "/things", description: "Lists things." },
+            { method: "GET", path: "/things/:name", description: "Shows a thing." },
+            { method: "POST", path: "/things/:name", description: "Changes a thing." },
+        ]);
+    });
+});
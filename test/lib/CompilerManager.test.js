@@ -21,6 +21,7 @@ const getMockCompiler = () => {
             done: hook,
             watchClose: hook,
             failed: hook,
+            assetEmitted: hook,
         },
     };
 };
@@ -37,6 +38,33 @@ describe("manageCompiler", () => {
     });
 });
 
+describe("hooks", () => {
+    it("should be called as compilers are added, change status and are removed", () => {
+        const manager = new CompilerManager();
+        const calls = [];
+        manager.hooks.compilerAdded.tap("test", (...args) =>
+            calls.push(["added", ...args])
+        );
+        manager.hooks.statusChange.tap("test", (...args) =>
+            calls.push(["status", ...args])
+        );
+        manager.hooks.compilerRemoved.tap("test", (...args) =>
+            calls.push(["removed", ...args])
+        );
+
+        const watching = { close: (callback) => callback() };
+        manager.manageCompiler("nick", getMockCompiler(), watching);
+        manager.setStatus("nick", DONE);
+        return manager.closeCompiler("nick").then(() => {
+            expect(calls).toEqual([
+                ["added", "nick"],
+                ["status", "nick", DONE, FIRST_BUILD],
+                ["removed", "nick"],
+            ]);
+        });
+    });
+});
+
 describe("isCompilerActive", () => {
     it("should return true only if a compiler with the given name is active", () => {
         const manager = new CompilerManager();
@@ -158,10 +186,16 @@ describe("getAllCompilerInfo", () => {
 
         const moreInfo = {
             errors: expect.any(Array),
+            errorDetails: expect.any(Array),
+            warningCount: 0,
+            warnings: [],
             frequency: expect.any(Number),
             frecency: expect.any(Number),
             frequencyChecks: expect.any(Array),
+            lastUse: expect.any(Number),
             pinned: expect.any(Boolean),
+            waitingRequests: 0,
+            approximateMemoryUsage: null,
         };
 
         expect(manager.getAllCompilerInfo()).toEqual({
@@ -184,6 +218,275 @@ describe("getAllCompilerInfo", () => {
                 },
             }),
             leastUsedCompiler: expect.any(String),
+            evictionStrategy: "frecency",
+            evictionRanking: expect.arrayContaining(["iam", "an", "active", "region"]),
+        });
+    });
+});
+
+describe("getCompilerNameForEmittedAsset", () => {
+    const getMockCompilerWithOutput = (publicPath) => ({
+        ...getMockCompiler(),
+        options: { output: { path: "/some/dist", publicPath } },
+    });
+
+    it("should find the compiler that emitted the requested asset", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompilerWithOutput("/js/"), {}, DONE);
+        manager.manageCompiler("elback", getMockCompilerWithOutput("/"), {}, DONE);
+        manager.activeCompilers.nick.emittedAssets = new Set(["123.chunk.js"]);
+        manager.activeCompilers.elback.emittedAssets = new Set(["styles/main.css"]);
+        expect(manager.getCompilerNameForEmittedAsset("/js/123.chunk.js")).toEqual(
+            "nick"
+        );
+        expect(manager.getCompilerNameForEmittedAsset("/styles/main.css")).toEqual(
+            "elback"
+        );
+    });
+    it("should return null if no active compiler emitted the requested asset", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompilerWithOutput("/js/"), {}, DONE);
+        manager.activeCompilers.nick.emittedAssets = new Set(["123.chunk.js"]);
+        expect(manager.getCompilerNameForEmittedAsset("/js/456.chunk.js")).toBeNull();
+    });
+});
+
+describe("getEntrypointForEmittedAsset", () => {
+    it("should find the compiler and entrypoint that emitted the requested file", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler(
+            "nick",
+            {
+                ...getMockCompiler(),
+                options: { output: { path: "/some/dist", publicPath: "/js/" } },
+            },
+            {},
+            DONE
+        );
+        manager.activeCompilers.nick.entrypointFiles = new Map([
+            ["app", "app.1a2b3c.js"],
+        ]);
+        expect(manager.getEntrypointForEmittedAsset("/js/app.1a2b3c.js")).toEqual({
+            compilerName: "nick",
+            entryName: "app",
+        });
+        expect(manager.getEntrypointForEmittedAsset("/js/app.4d5e6f.js")).toBeNull();
+        expect(manager.getEntrypointFileForCompiler("nick", "app")).toEqual(
+            "app.1a2b3c.js"
+        );
+        expect(manager.getEntrypointFileForCompiler("elback", "app")).toBeNull();
+    });
+});
+
+describe("closeAll", () => {
+    it("should close every active compiler", () => {
+        const manager = new CompilerManager();
+        const watching = { close: jest.fn((callback) => callback()) };
+        manager.manageCompiler("nick", getMockCompiler(), watching);
+        manager.manageCompiler("elback", getMockCompiler(), watching);
+        return manager.closeAll().then((names) => {
+            expect(names.sort()).toEqual(["elback", "nick"]);
+            expect(watching.close).toHaveBeenCalledTimes(2);
+            expect(manager.countActiveCompilers()).toEqual(0);
+        });
+    });
+    it("should reject any outstanding callbacks", () => {
+        const manager = new CompilerManager();
+        const watching = { close: (callback) => callback() };
+        manager.manageCompiler("nick", getMockCompiler(), watching, BUILDING);
+        const resolve = jest.fn();
+        const reject = jest.fn();
+        manager.addDeferredCallback("nick", resolve, reject);
+        return manager.closeAll().then(() => {
+            expect(resolve).not.toHaveBeenCalled();
+            expect(reject).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    message: expect.stringMatching(/shutting down/),
+                })
+            );
+        });
+    });
+});
+
+describe("pinCompiler", () => {
+    it("should pin active compilers", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.pinCompiler("nick");
+        expect(manager.isCompilerPinned("nick")).toEqual(true);
+        expect(manager.getInfoForCompiler("nick").pinned).toEqual(true);
+    });
+    it("should pin compilers that start after they were pinned", () => {
+        const manager = new CompilerManager();
+        manager.pinCompiler("nick");
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        expect(manager.getInfoForCompiler("nick").pinned).toEqual(true);
+    });
+    it("should unpin compilers", () => {
+        const manager = new CompilerManager();
+        manager.pinCompiler("nick");
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.unpinCompiler("nick");
+        expect(manager.isCompilerPinned("nick")).toEqual(false);
+        expect(manager.getInfoForCompiler("nick").pinned).toEqual(false);
+        expect(manager.getInfoForCompiler("nick").frecency).toBeGreaterThan(0);
+    });
+});
+
+describe("getLeastUsedCompiler", () => {
+    it("should never return a pinned compiler", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.manageCompiler("elback", getMockCompiler(), {});
+        manager.noteCompilerUsage("elback");
+        manager.pinCompiler("nick");
+        expect(manager.getLeastUsedCompiler()).toEqual("elback");
+    });
+    it("should return null if every compiler is pinned", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.pinCompiler("nick");
+        expect(manager.getLeastUsedCompiler()).toBeNull();
+    });
+});
+
+describe("getMemoryUsageInMB", () => {
+    it("should report the process's memory usage in megabytes", () => {
+        const manager = new CompilerManager();
+        const usage = manager.getMemoryUsageInMB();
+        expect(usage.heapUsed).toEqual(expect.any(Number));
+        expect(usage.rss).toEqual(expect.any(Number));
+        expect(usage.rss).toBeLessThan(process.memoryUsage().rss);
+    });
+});
+
+describe("evictionStrategy", () => {
+    // nick is used the most, but hasn't been used in ages. elback was used most recently
+    const getManagerWithUsage = (options) => {
+        const manager = new CompilerManager(options);
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.manageCompiler("elback", getMockCompiler(), {});
+        manager.manageCompiler("isnt", getMockCompiler(), {});
+        manager.activeCompilers.nick.lastUse = 1000;
+        manager.activeCompilers.nick.numberOfUses = 10;
+        manager.activeCompilers.nick.frequencyChecks = new Array(10).fill(Date.now());
+        manager.activeCompilers.isnt.lastUse = 2000;
+        return manager;
+    };
+
+    it("should default to frecency", () => {
+        const manager = getManagerWithUsage();
+        expect(manager.getEvictionStrategyName()).toEqual("frecency");
+        expect(manager.getEvictionRanking()).toEqual(["isnt", "nick", "elback"]);
+    });
+    it("should support lru", () => {
+        const manager = getManagerWithUsage({ evictionStrategy: "lru" });
+        expect(manager.getEvictionRanking()).toEqual(["nick", "isnt", "elback"]);
+        expect(manager.getLeastUsedCompiler()).toEqual("nick");
+    });
+    it("should support lfu", () => {
+        const manager = getManagerWithUsage({ evictionStrategy: "lfu" });
+        expect(manager.getEvictionRanking()).toEqual(["isnt", "elback", "nick"]);
+    });
+    it("should treat useFrequency as lfu", () => {
+        const manager = getManagerWithUsage({ useFrequency: true });
+        expect(manager.getEvictionStrategyName()).toEqual("lfu");
+    });
+    it("should support custom strategies", () => {
+        const evictionStrategy = jest.fn(() => "nick");
+        const manager = getManagerWithUsage({ evictionStrategy });
+        expect(manager.getEvictionStrategyName()).toEqual("custom");
+        expect(manager.getLeastUsedCompiler()).toEqual("nick");
+        expect(evictionStrategy).toHaveBeenCalledWith(
+            expect.arrayContaining([
+                expect.objectContaining({ name: "nick", frecency: expect.any(Number) }),
+            ])
+        );
+    });
+    it("should never give a custom strategy pinned compilers", () => {
+        const evictionStrategy = jest.fn((candidates) => candidates[0].name);
+        const manager = getManagerWithUsage({ evictionStrategy });
+        manager.pinCompiler("nick");
+        manager.getLeastUsedCompiler();
+        expect(evictionStrategy.mock.calls[0][0].map(({ name }) => name)).toEqual([
+            "elback",
+            "isnt",
+        ]);
+    });
+    it("should fall back to frecency if a custom strategy picks something odd", () => {
+        const manager = getManagerWithUsage({ evictionStrategy: () => "sucks" });
+        expect(manager.getLeastUsedCompiler()).toEqual("isnt");
+    });
+    it("should fall back to frecency if a custom strategy throws", () => {
+        const logger = {
+            debug: jest.fn(),
+            info: jest.fn(),
+            notice: jest.fn(),
+            error: jest.fn(),
+        };
+        const manager = getManagerWithUsage({
+            evictionStrategy: () => {
+                throw new Error("nope");
+            },
+            logger,
         });
+        expect(manager.getEvictionRanking()).toEqual(["isnt", "nick", "elback"]);
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining("nope"));
+    });
+    it("should throw if given an unknown strategy", () => {
+        expect(() => new CompilerManager({ evictionStrategy: "mru" })).toThrow(
+            /not a valid eviction strategy/
+        );
+    });
+});
+
+describe("getIdleCompilers", () => {
+    it("should find unpinned compilers that haven't been used lately", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.manageCompiler("elback", getMockCompiler(), {});
+        manager.manageCompiler("isnt", getMockCompiler(), {});
+        manager.manageCompiler("good", getMockCompiler(), {});
+        const anHourAgo = Date.now() - 60 * 60 * 1000;
+        manager.activeCompilers.nick.lastUse = anHourAgo;
+        manager.activeCompilers.isnt.lastUse = anHourAgo;
+        manager.activeCompilers.good.lastUse = anHourAgo;
+        manager.pinCompiler("isnt");
+        manager.addDeferredCallback(
+            "good",
+            () => {},
+            () => {}
+        );
+        expect(manager.getIdleCompilers(30 * 60 * 1000)).toEqual(["nick"]);
+    });
+});
+
+describe("startIdleChecks", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("should periodically hand idle compilers to the callback", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.activeCompilers.nick.lastUse = Date.now() - 10 * 60 * 1000;
+        const closeIdleCompiler = jest.fn();
+        manager.startIdleChecks(5, closeIdleCompiler);
+        expect(closeIdleCompiler).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(60 * 1000);
+        expect(closeIdleCompiler).toHaveBeenCalledWith("nick");
+    });
+    it("should stop checking once stopped", () => {
+        const manager = new CompilerManager();
+        manager.manageCompiler("nick", getMockCompiler(), {});
+        manager.activeCompilers.nick.lastUse = Date.now() - 10 * 60 * 1000;
+        const closeIdleCompiler = jest.fn();
+        manager.startIdleChecks(5, closeIdleCompiler);
+        manager.stopIdleChecks();
+        jest.advanceTimersByTime(60 * 1000);
+        expect(closeIdleCompiler).not.toHaveBeenCalled();
     });
 });
@@ -0,0 +1,68 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const EventStream = require("../../lib/EventStream");
+
+const getMockResponse = () => {
+    const res = new EventEmitter();
+    res.writeHead = jest.fn();
+    res.write = jest.fn();
+    res.end = jest.fn();
+    return res;
+};
+
+describe("EventStream", () => {
+    let events;
+    beforeEach(() => {
+        events = new EventStream();
+    });
+    afterEach(() => {
+        events.close();
+    });
+
+    it("should start a stream of events for each client", () => {
+        const res = getMockResponse();
+        events.addClient(res);
+        expect(res.writeHead).toHaveBeenCalledWith(
+            200,
+            expect.objectContaining({
+                "Content-Type": "text/event-stream; charset=UTF-8",
+            })
+        );
+        expect(events.clients.size).toEqual(1);
+    });
+    it("should send events to every client", () => {
+        const first = getMockResponse();
+        const second = getMockResponse();
+        events.addClient(first);
+        events.addClient(second);
+        events.send("status", { compiler: "nick", status: "done" });
+        const message = `event: status\ndata: {"compiler":"nick","status":"done"}\n\n`;
+        expect(first.write).toHaveBeenLastCalledWith(message);
+        expect(second.write).toHaveBeenLastCalledWith(message);
+    });
+    it("should only send a client the events that pass its filter", () => {
+        const res = getMockResponse();
+        events.addClient(res, (event, data) => data.compiler === "elback");
+        events.send("status", { compiler: "nick", status: "done" });
+        expect(res.write).toHaveBeenCalledTimes(1);
+        events.send("status", { compiler: "elback", status: "done" });
+        expect(res.write).toHaveBeenCalledTimes(2);
+    });
+    it("should forget about clients that disconnect", () => {
+        const res = getMockResponse();
+        events.addClient(res);
+        res.emit("close");
+        expect(events.clients.size).toEqual(0);
+        expect(events.heartbeat).toBeNull();
+        events.send("status", { compiler: "nick", status: "done" });
+        expect(res.write).toHaveBeenCalledTimes(1);
+    });
+    it("should end every stream when closed", () => {
+        const res = getMockResponse();
+        events.addClient(res);
+        events.close();
+        expect(res.end).toHaveBeenCalled();
+        expect(events.clients.size).toEqual(0);
+    });
+});
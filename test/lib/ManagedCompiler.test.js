@@ -23,6 +23,8 @@ const getMockCompiler = () => {
             done: hook,
             watchClose: hook,
             failed: hook,
+            assetEmitted: hook,
+            emit: hook,
         },
     };
 };
@@ -73,6 +75,39 @@ describe("setStatus", () => {
     });
 });
 
+describe("removeCallback", () => {
+    it("should forget about a callback without calling it", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const deferred = { resolve: jest.fn(), reject: jest.fn() };
+        compiler.addCallback(deferred);
+        expect(compiler.removeCallback(deferred)).toEqual(true);
+        expect(compiler.removeCallback(deferred)).toEqual(false);
+        compiler.resolveCallbacks(false);
+        expect(deferred.resolve).not.toHaveBeenCalled();
+    });
+});
+
+describe("hooks.statusChange", () => {
+    it("should be called when the status changes", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const listener = jest.fn();
+        compiler.hooks.statusChange.tap("test", listener);
+        compiler.setStatus(BUILDING);
+        expect(listener).not.toHaveBeenCalled();
+        compiler.setStatus(DONE);
+        expect(listener).toHaveBeenCalledWith(DONE, BUILDING);
+    });
+    it("should be called for every failed build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const listener = jest.fn();
+        compiler.hooks.statusChange.tap("test", listener);
+        compiler.setStatus(ERROR, [new Error("oh no")]);
+        compiler.setStatus(ERROR, [new Error("oh no, again")]);
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith(ERROR, ERROR);
+    });
+});
+
 describe("logFrequencyUsage", () => {
     it("should update usage stats when called", () => {
         const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
@@ -150,3 +185,302 @@ describe("getFrecency", () => {
         expect(compiler.status).toEqual(BUILDING);
     });
 });
+
+describe("setEmittedAssets", () => {
+    const getMockStats = (assetNames) => ({
+        compilation: {
+            assets: assetNames.reduce((assets, name) => {
+                assets[name] = {};
+                return assets;
+            }, {}),
+        },
+    });
+
+    it("should keep track of every asset emitted by the last build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, DONE);
+        expect(compiler.hasEmittedAsset("main.js")).toEqual(false);
+        compiler.setEmittedAssets(
+            getMockStats(["main.js", "123.chunk.js", "main.css", "main.js.map"])
+        );
+        expect(compiler.hasEmittedAsset("main.js")).toEqual(true);
+        expect(compiler.hasEmittedAsset("123.chunk.js")).toEqual(true);
+        expect(compiler.hasEmittedAsset("main.css")).toEqual(true);
+        expect(compiler.hasEmittedAsset("main.js.map")).toEqual(true);
+    });
+    it("should forget assets that the latest build didn't emit", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, DONE);
+        compiler.setEmittedAssets(getMockStats(["main.js", "123.chunk.js"]));
+        compiler.setEmittedAssets(getMockStats(["main.js", "456.chunk.js"]));
+        expect(compiler.hasEmittedAsset("123.chunk.js")).toEqual(false);
+        expect(compiler.hasEmittedAsset("456.chunk.js")).toEqual(true);
+    });
+    it("should keep track of the assets whose contents changed", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, DONE);
+        expect(compiler.getChangedAssets()).toEqual([]);
+        const stats = getMockStats(["main.js", "main.css"]);
+
+        compiler.assetEmittedHandler("main.js", Buffer.from("js"));
+        compiler.assetEmittedHandler("main.css", Buffer.from("css"));
+        compiler.setEmittedAssets(stats);
+        expect(compiler.getChangedAssets()).toEqual(["main.js", "main.css"]);
+
+        // webpack wrote both files again, but only the stylesheet is different
+        compiler.assetEmittedHandler("main.js", Buffer.from("js"));
+        compiler.assetEmittedHandler("main.css", Buffer.from("new css"));
+        compiler.setEmittedAssets(stats);
+        expect(compiler.getChangedAssets()).toEqual(["main.css"]);
+
+        // webpack didn't write anything
+        compiler.setEmittedAssets(stats);
+        expect(compiler.getChangedAssets()).toEqual([]);
+    });
+    it("should only hash what webpack writes when tracking changed assets", () => {
+        const mockCompiler = getMockCompiler();
+        mockCompiler.hooks.assetEmitted = { tap: jest.fn() };
+        new ManagedCompiler("name", mockCompiler, {}, DONE);
+        expect(mockCompiler.hooks.assetEmitted.tap).not.toHaveBeenCalled();
+        new ManagedCompiler("name", mockCompiler, {}, DONE, false, {
+            trackChangedAssets: true,
+        });
+        expect(mockCompiler.hooks.assetEmitted.tap).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe("setEntrypointFiles", () => {
+    const getMockStats = (entrypoints) => ({
+        compilation: {
+            assets: Object.values(entrypoints)
+                .flat()
+                .reduce((assets, name) => {
+                    assets[name] = {};
+                    return assets;
+                }, {}),
+            entrypoints: new Map(
+                Object.keys(entrypoints).map((name) => [
+                    name,
+                    {
+                        getEntrypointChunk: () => ({
+                            files: new Set(entrypoints[name]),
+                        }),
+                    },
+                ])
+            ),
+        },
+    });
+
+    it("should keep track of the file each entrypoint was emitted as", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, DONE);
+        expect(compiler.getEntrypointFile("app")).toBeNull();
+        const stats = getMockStats({
+            app: ["app.css", "js/app.1a2b3c.js"],
+            other: ["other.js"],
+        });
+        compiler.setEmittedAssets(stats);
+        compiler.setEntrypointFiles(stats);
+        expect(compiler.getEntrypointFile("app")).toEqual("js/app.1a2b3c.js");
+        expect(compiler.getEntrypointForFile("js/app.1a2b3c.js")).toEqual("app");
+        expect(compiler.getEntrypointForFile("app.css")).toBeNull();
+
+        const newStats = getMockStats({ app: ["js/app.4d5e6f.js"] });
+        compiler.setEmittedAssets(newStats);
+        compiler.setEntrypointFiles(newStats);
+        expect(compiler.getEntrypointFile("app")).toEqual("js/app.4d5e6f.js");
+        expect(compiler.getEntrypointFile("other")).toBeNull();
+    });
+});
+
+describe("retainLastGoodBuild option", () => {
+    const getMockCompilation = (assets, errors = []) => ({
+        errors,
+        getAssets: () =>
+            Object.keys(assets).map((name) => ({
+                name,
+                source: { buffer: () => Buffer.from(assets[name]) },
+            })),
+    });
+    const getMockStats = (hash, hasErrors = false) => ({
+        hash,
+        compilation: { assets: {}, errors: hasErrors ? [new Error("oh no")] : [] },
+        hasErrors: () => hasErrors,
+        hasWarnings: () => false,
+        toJson: () => ({ errors: [] }),
+    });
+
+    it("should hold on to the assets from the last successful build", () => {
+        const compiler = new ManagedCompiler(
+            "name",
+            getMockCompiler(),
+            {},
+            BUILDING,
+            false,
+            {
+                retainLastGoodBuild: true,
+            }
+        );
+        expect(compiler.getLastGoodAsset("main.js")).toBeNull();
+        expect(compiler.getLastGoodHash()).toBeNull();
+
+        compiler.emitHandler(getMockCompilation({ "main.js": "good" }));
+        compiler.finishedCompilationHandler(getMockStats("abc"));
+        expect(compiler.getLastGoodAsset("main.js")).toEqual(Buffer.from("good"));
+        expect(compiler.getLastGoodHash()).toEqual("abc");
+
+        compiler.emitHandler(
+            getMockCompilation({ "main.js": "bad" }, [new Error("oh no")])
+        );
+        compiler.finishedCompilationHandler(getMockStats("def", true));
+        expect(compiler.status).toEqual(ERROR);
+        expect(compiler.getLastGoodAsset("main.js")).toEqual(Buffer.from("good"));
+        expect(compiler.getLastGoodHash()).toEqual("abc");
+    });
+    it("should remember where the last successful build put each entrypoint", () => {
+        const compiler = new ManagedCompiler(
+            "name",
+            getMockCompiler(),
+            {},
+            BUILDING,
+            false,
+            { retainLastGoodBuild: true }
+        );
+        const getStatsWithEntrypoint = (hash, file, hasErrors = false) => {
+            const stats = getMockStats(hash, hasErrors);
+            stats.compilation.assets = { [file]: {} };
+            stats.compilation.entrypoints = new Map([
+                ["app", { getEntrypointChunk: () => ({ files: new Set([file]) }) }],
+            ]);
+            return stats;
+        };
+        expect(compiler.getLastGoodEntrypointFile("app")).toBeNull();
+
+        compiler.emitHandler(getMockCompilation({ "app.abc.js": "good" }));
+        compiler.finishedCompilationHandler(
+            getStatsWithEntrypoint("abc", "app.abc.js")
+        );
+        compiler.emitHandler(
+            getMockCompilation({ "app.def.js": "bad" }, [new Error("oh no")])
+        );
+        compiler.finishedCompilationHandler(
+            getStatsWithEntrypoint("def", "app.def.js", true)
+        );
+        expect(compiler.getEntrypointFile("app")).toEqual("app.def.js");
+        expect(compiler.getLastGoodEntrypointFile("app")).toEqual("app.abc.js");
+    });
+    it("shouldn't hold on to anything by default", () => {
+        const mockCompiler = getMockCompiler();
+        mockCompiler.hooks.emit = { tap: jest.fn() };
+        const compiler = new ManagedCompiler("name", mockCompiler, {}, BUILDING);
+        expect(mockCompiler.hooks.emit.tap).not.toHaveBeenCalled();
+        compiler.finishedCompilationHandler(getMockStats("abc"));
+        expect(compiler.getLastGoodHash()).toBeNull();
+    });
+});
+
+describe("recordMemoryDelta", () => {
+    it("should record how much memory the first build took", () => {
+        const compiler = new ManagedCompiler(
+            "name",
+            getMockCompiler(),
+            {},
+            FIRST_BUILD
+        );
+        expect(compiler.memoryDelta).toBeNull();
+        compiler.recordMemoryDelta();
+        expect(compiler.memoryDelta).toEqual({
+            heapUsed: expect.any(Number),
+            rss: expect.any(Number),
+        });
+    });
+    it("should only record memory usage once", () => {
+        const compiler = new ManagedCompiler(
+            "name",
+            getMockCompiler(),
+            {},
+            FIRST_BUILD
+        );
+        compiler.recordMemoryDelta();
+        const memoryDelta = compiler.memoryDelta;
+        compiler.recordMemoryDelta();
+        expect(compiler.memoryDelta).toBe(memoryDelta);
+    });
+});
+
+describe("finishedCompilationHandler", () => {
+    it("should keep details about the errors from a failed build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const errorDetails = {
+            message: "Module parse failed",
+            moduleName: "./src/a.js",
+            loc: "1:10",
+        };
+        compiler.finishedCompilationHandler({
+            compilation: { assets: {}, errors: [new Error("Module parse failed")] },
+            hasErrors: () => true,
+            hasWarnings: () => false,
+            toJson: () => ({ errors: [errorDetails] }),
+        });
+        expect(compiler.status).toEqual(ERROR);
+        expect(compiler.getCurrentErrorDetails()).toEqual([errorDetails]);
+    });
+    it("should have the error details ready when the status changes", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const errorDetails = {
+            message: "Module parse failed",
+            moduleName: null,
+            loc: null,
+        };
+        let detailsOnChange;
+        compiler.hooks.statusChange.tap("test", () => {
+            detailsOnChange = compiler.getCurrentErrorDetails();
+        });
+        compiler.finishedCompilationHandler({
+            compilation: { assets: {}, errors: [new Error("Module parse failed")] },
+            hasErrors: () => true,
+            hasWarnings: () => false,
+            toJson: () => ({ errors: [errorDetails] }),
+        });
+        expect(detailsOnChange).toEqual([errorDetails]);
+    });
+    it("should keep the hash of the last build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        expect(compiler.getLastHash()).toBeNull();
+        compiler.finishedCompilationHandler({
+            hash: "abc123",
+            compilation: { assets: {}, errors: [] },
+            hasErrors: () => false,
+            hasWarnings: () => false,
+        });
+        expect(compiler.getLastHash()).toEqual("abc123");
+    });
+    it("should clear errors after a successful build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        compiler.setStatus(ERROR, [new Error("oh no")]);
+        compiler.finishedCompilationHandler({
+            compilation: { assets: {}, errors: [] },
+            hasErrors: () => false,
+            hasWarnings: () => false,
+        });
+        expect(compiler.status).toEqual(DONE);
+        expect(compiler.getCurrentErrorDetails()).toEqual([]);
+    });
+    it("should keep the warnings from the last build", () => {
+        const compiler = new ManagedCompiler("name", getMockCompiler(), {}, BUILDING);
+        const warning = {
+            message: "export 'nope' was not found in './b'",
+            moduleName: "./src/a.js",
+            loc: "2:0-4",
+        };
+        const stats = {
+            compilation: { assets: {}, errors: [] },
+            hasErrors: () => false,
+            hasWarnings: () => true,
+            toJson: () => ({ warnings: [warning] }),
+        };
+        compiler.finishedCompilationHandler(stats);
+        expect(compiler.status).toEqual(DONE);
+        expect(compiler.getCurrentWarnings()).toEqual([warning]);
+
+        stats.hasWarnings = () => false;
+        compiler.finishedCompilationHandler(stats);
+        expect(compiler.getCurrentWarnings()).toEqual([]);
+    });
+});
@@ -5,6 +5,10 @@ const PublicConfigManager = require("../../lib/PublicConfigManager");
 const getMockKevin = () => {
     return {
         buildConfig: jest.fn(),
+        close: jest.fn(),
+        pinConfig: jest.fn(),
+        unpinConfig: jest.fn(),
+        refreshEntryMap: jest.fn(),
     };
 };
 
@@ -38,6 +42,39 @@ describe("closeCompiler", () => {
     });
 });
 
+describe("closeAll", () => {
+    const mockKevin = getMockKevin();
+    const mockCompiler = getMockCompiler();
+
+    const configManager = new PublicConfigManager(mockKevin, mockCompiler);
+    it("should proxy the call to kevin's close.", () => {
+        configManager.closeAll();
+        expect(mockKevin.close).toHaveBeenCalled();
+    });
+});
+
+describe("pin", () => {
+    const mockKevin = getMockKevin();
+    const mockCompiler = getMockCompiler();
+
+    const configManager = new PublicConfigManager(mockKevin, mockCompiler);
+    it("should proxy the call to kevin's pinConfig.", () => {
+        configManager.pin("test-config");
+        expect(mockKevin.pinConfig).toHaveBeenCalledWith("test-config");
+    });
+});
+
+describe("unpin", () => {
+    const mockKevin = getMockKevin();
+    const mockCompiler = getMockCompiler();
+
+    const configManager = new PublicConfigManager(mockKevin, mockCompiler);
+    it("should proxy the call to kevin's unpinConfig.", () => {
+        configManager.unpin("test-config");
+        expect(mockKevin.unpinConfig).toHaveBeenCalledWith("test-config");
+    });
+});
+
 describe("isCompilerActive", () => {
     const mockKevin = getMockKevin();
     const mockCompiler = getMockCompiler();
@@ -71,3 +108,14 @@ describe("getActiveCompilerNames", () => {
         ]);
     });
 });
+
+describe("refreshEntries", () => {
+    const mockKevin = getMockKevin();
+    const mockCompiler = getMockCompiler();
+
+    const configManager = new PublicConfigManager(mockKevin, mockCompiler);
+    it("should proxy the call to kevins refreshEntryMap.", () => {
+        configManager.refreshEntries();
+        expect(mockKevin.refreshEntryMap).toHaveBeenCalled();
+    });
+});
@@ -34,4 +34,28 @@ describe("buildingTemplate", () => {
             );
         });
     });
+    describe("kevinEventsUrl argument", () => {
+        it("listens for events when provided", () => {
+            const result = buildingTemplate(
+                "fish.js",
+                "aquatic",
+                "/__kevin/build-status",
+                "",
+                "",
+                "/__kevin/events"
+            );
+            expect(result).toContain(`new EventSource("/__kevin/events")`);
+            // Falls back to polling if the browser doesn't support it
+            expect(result).toContain("pollBuildStatus();");
+        });
+        it("polls for build statuses when not provided", () => {
+            const result = buildingTemplate(
+                "fish.js",
+                "aquatic",
+                "/__kevin/build-status"
+            );
+            expect(result).not.toContain("EventSource");
+            expect(result).toContain("pollBuildStatus();");
+        });
+    });
 });
@@ -0,0 +1,169 @@
+const {
+    warningSummaryScript,
+    staleBuildScript,
+    liveReloadScript,
+} = require("../../lib/clientScripts");
+
+describe("warningSummaryScript", () => {
+    const warnings = [
+        {
+            message: "export 'nope' was not found in './b'",
+            moduleName: "./src/a.js",
+            loc: "2:0-4",
+        },
+    ];
+
+    it("logs every warning", () => {
+        const result = warningSummaryScript("aquatic", warnings);
+        expect(result).toContain(JSON.stringify(warnings));
+        expect(result).toContain(`the \\"aquatic\\" compiler reported`);
+    });
+
+    it("starts on a new statement so it can be appended to any script", () => {
+        const result = warningSummaryScript("aquatic", warnings);
+        expect(result).toMatch(/^\n;/);
+    });
+
+    it("runs without throwing", () => {
+        const warn = jest.spyOn(global.console, "warn").mockImplementation(() => {});
+        const group = jest
+            .spyOn(global.console, "groupCollapsed")
+            .mockImplementation(() => {});
+        const groupEnd = jest
+            .spyOn(global.console, "groupEnd")
+            .mockImplementation(() => {});
+        new Function(warningSummaryScript("aquatic", warnings))();
+        expect(group).toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("./src/a.js 2:0-4"));
+        warn.mockRestore();
+        group.mockRestore();
+        groupEnd.mockRestore();
+    });
+
+    it("escapes the config's name", () => {
+        const group = jest
+            .spyOn(global.console, "groupCollapsed")
+            .mockImplementation(() => {});
+        jest.spyOn(global.console, "warn").mockImplementation(() => {});
+        jest.spyOn(global.console, "groupEnd").mockImplementation(() => {});
+        const configName = `a"); throw new Error("nope`;
+        new Function(warningSummaryScript(configName, warnings))();
+        expect(group).toHaveBeenCalledWith(
+            expect.stringContaining(
+                `the "${configName}" compiler reported 1 warning(s)`
+            ),
+            expect.any(String)
+        );
+        jest.restoreAllMocks();
+    });
+});
+
+describe("staleBuildScript", () => {
+    it("explains why the asset is stale", () => {
+        const warn = jest.spyOn(global.console, "warn").mockImplementation(() => {});
+        new Function(staleBuildScript("aquatic", false))();
+        expect(warn).toHaveBeenLastCalledWith(
+            expect.stringContaining(`"aquatic", because it's being rebuilt`),
+            expect.any(String)
+        );
+        new Function(staleBuildScript("aquatic", true))();
+        expect(warn).toHaveBeenLastCalledWith(
+            expect.stringContaining(`"aquatic", because its latest build failed`),
+            expect.any(String)
+        );
+        warn.mockRestore();
+    });
+});
+
+describe("liveReloadScript", () => {
+    // Runs the script against a fake browser, and returns a function that sends it
+    // status events.
+    const runInFakeBrowser = (window, document) => {
+        let listener;
+        window.EventSource = function (url) {
+            window.eventsUrl = url;
+            this.addEventListener = (event, callback) => {
+                listener = callback;
+            };
+            this.close = jest.fn();
+        };
+        new Function(
+            "window",
+            "document",
+            "EventSource",
+            liveReloadScript("aquatic", "abc", "/__kevin/events")
+        )(window, document, window.EventSource);
+        return (data) => listener({ data: JSON.stringify(data) });
+    };
+
+    let log;
+    beforeEach(() => {
+        log = jest.spyOn(global.console, "log").mockImplementation(() => {});
+    });
+    afterEach(() => {
+        log.mockRestore();
+    });
+
+    it("listens to the config's events", () => {
+        const window = { location: { reload: jest.fn() } };
+        runInFakeBrowser(window, {});
+        expect(window.eventsUrl).toEqual("/__kevin/events?compiler=aquatic");
+    });
+
+    it("reloads the page once a new build is done", () => {
+        const window = { location: { reload: jest.fn() } };
+        const sendStatus = runInFakeBrowser(window, {});
+        sendStatus({ compiler: "aquatic", status: "building" });
+        sendStatus({
+            compiler: "aquatic",
+            status: "done",
+            hash: "abc",
+            changedAssets: [],
+        });
+        expect(window.location.reload).not.toHaveBeenCalled();
+        sendStatus({
+            compiler: "aquatic",
+            status: "done",
+            hash: "def",
+            changedAssets: ["fish.js", "fish.css"],
+        });
+        expect(window.location.reload).toHaveBeenCalled();
+    });
+
+    it("swaps stylesheets when they're the only thing that changed", () => {
+        const window = { location: { reload: jest.fn() } };
+        const link = { href: "http://localhost/css/fish.css" };
+        const sendStatus = runInFakeBrowser(window, { querySelectorAll: () => [link] });
+        sendStatus({
+            compiler: "aquatic",
+            status: "done",
+            hash: "def",
+            changedAssets: ["css/fish.css", "css/fish.css.map"],
+        });
+        expect(window.location.reload).not.toHaveBeenCalled();
+        expect(link.href).toEqual("http://localhost/css/fish.css?kevin=def");
+    });
+
+    it("reloads the page if a changed stylesheet isn't on it", () => {
+        const window = { location: { reload: jest.fn() } };
+        const sendStatus = runInFakeBrowser(window, { querySelectorAll: () => [] });
+        sendStatus({
+            compiler: "aquatic",
+            status: "done",
+            hash: "def",
+            changedAssets: ["css/fish.css"],
+        });
+        expect(window.location.reload).toHaveBeenCalled();
+    });
+
+    it("only listens once per config", () => {
+        const window = { location: { reload: jest.fn() } };
+        runInFakeBrowser(window, {});
+        const EventSource = jest.fn();
+        new Function("window", "EventSource", liveReloadScript("aquatic", "abc", "/e"))(
+            window,
+            EventSource
+        );
+        expect(EventSource).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,30 @@
+const dashboardTemplate = require("../../lib/dashboardTemplate");
+
+describe("dashboardTemplate", () => {
+    const getScript = (html) =>
+        html.slice(html.indexOf("<script>") + 8, html.indexOf("</script>"));
+
+    it("renders a page with valid javascript", () => {
+        const html = dashboardTemplate(3);
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(() => new Function(getScript(html))).not.toThrow();
+        expect(getScript(html)).toContain("var maxCompilers = 3;");
+    });
+    it("finds the internal API relative to its own URL", () => {
+        const script = getScript(dashboardTemplate(3));
+        expect(script).toContain('pathname.lastIndexOf("/dashboard")');
+        expect(script).toContain('new EventSource(apiUrl + "/events")');
+    });
+    it("has buttons for the internal API's compiler routes", () => {
+        const script = getScript(dashboardTemplate(3));
+        [
+            "/start-compiler",
+            "/stop-compiler",
+            "/restart-compiler",
+            "/pin-compiler",
+            "/unpin-compiler",
+        ].forEach((route) => {
+            expect(script).toContain(`"${route}"`);
+        });
+    });
+});
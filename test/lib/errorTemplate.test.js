@@ -0,0 +1,64 @@
+const errorTemplate = require("../../lib/errorTemplate");
+
+describe("errorTemplate", () => {
+    const assetName = "fish.js";
+    const configName = "aquatic";
+    const errors = [
+        {
+            message: "Module parse failed: Unexpected token (1:10)\n> 1 | const x = ;",
+            moduleName: "./src/fish.js",
+            loc: "1:10",
+        },
+    ];
+    const kevinStatusUrl = "http://gonefishingtonight.com/__kevin/build-status";
+    const kevinRestartUrl =
+        "http://gonefishingtonight.com/__kevin/restart-compiler?compiler=aquatic";
+
+    it("includes every error", () => {
+        const result = errorTemplate(assetName, configName, errors, null, null);
+        expect(result).toContain(JSON.stringify(errors));
+    });
+    it("retries builds and reloads the page when given Kevin's API", () => {
+        const result = errorTemplate(
+            assetName,
+            configName,
+            errors,
+            kevinStatusUrl,
+            kevinRestartUrl
+        );
+        expect(result).toContain(`xhr.open("POST", "${kevinRestartUrl}")`);
+        expect(result).toContain(`xhr.open("GET", "${kevinStatusUrl}")`);
+        expect(result).toContain("window.location.reload(true)");
+    });
+    it("doesn't retry builds or reload the page without Kevin's API", () => {
+        const result = errorTemplate(assetName, configName, errors, null, null);
+        expect(result).not.toContain("xhr.open");
+        expect(result).not.toContain("window.location.reload(true)");
+    });
+    it("escapes names that would break out of strings, comments or script tags", () => {
+        const result = errorTemplate(
+            'a"b*/</script>.js',
+            'a"b*/</script>',
+            errors,
+            kevinStatusUrl,
+            kevinRestartUrl,
+            '<a href="/help">help</a>'
+        );
+        expect(result).not.toContain("</script>");
+        // Only the comment at the top closes a comment
+        expect(result.match(/\*\//g)).toHaveLength(1);
+        // Parses without running
+        expect(() => new Function(result)).not.toThrow();
+    });
+    it("includes additional info", () => {
+        const result = errorTemplate(
+            assetName,
+            configName,
+            errors,
+            null,
+            null,
+            "blub blub"
+        );
+        expect(result).toContain("blub blub");
+    });
+});
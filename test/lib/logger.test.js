@@ -0,0 +1,103 @@
+"use strict";
+
+const { createLogger, createJsonLogger } = require("../../lib/logger");
+
+const getMockLogger = () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    notice: jest.fn(),
+    error: jest.fn(),
+});
+
+describe("createLogger", () => {
+    it("should only pass along messages at or above the log level", () => {
+        const logger = getMockLogger();
+        const log = createLogger({ logger, logLevel: "notice" });
+        log.debug("debug");
+        log.info("info");
+        log.notice("notice", { requestId: "abc" });
+        log.error("error");
+        expect(logger.debug).not.toHaveBeenCalled();
+        expect(logger.info).not.toHaveBeenCalled();
+        expect(logger.notice).toHaveBeenCalledWith("notice", { requestId: "abc" });
+        expect(logger.error).toHaveBeenCalledWith("error");
+    });
+
+    it("should log nothing when silent", () => {
+        const logger = getMockLogger();
+        const log = createLogger({ logger, logLevel: "silent" });
+        log.error("error");
+        expect(logger.error).not.toHaveBeenCalled();
+    });
+
+    it("should log debug and notice messages as info if the logger can't", () => {
+        const logger = { info: jest.fn(), error: jest.fn() };
+        const log = createLogger({ logger, logLevel: "debug" });
+        log.debug("debug");
+        log.notice("notice");
+        expect(logger.info.mock.calls).toEqual([["debug"], ["notice"]]);
+    });
+
+    it("should keep its methods bound to the logger", () => {
+        const logger = {
+            lines: [],
+            info(msg) {
+                this.lines.push(msg);
+            },
+            error(msg) {
+                this.lines.push(msg);
+            },
+        };
+        const { error } = createLogger({ logger });
+        error("oh no");
+        expect(logger.lines).toEqual(["oh no"]);
+    });
+
+    it("should complain about invalid log levels and loggers", () => {
+        expect(() => createLogger({ logLevel: "loud" })).toThrow(
+            "loud is not a valid log level"
+        );
+        expect(() => createLogger({ logger: "xml" })).toThrow(
+            'logger should be "console", "json", or an object'
+        );
+        expect(() => createLogger({ logger: { info: () => {} } })).toThrow();
+    });
+});
+
+describe("createJsonLogger", () => {
+    const getLines = (stream) =>
+        stream.write.mock.calls.map(([line]) => {
+            expect(line).toMatch(/\n$/);
+            return JSON.parse(line);
+        });
+
+    it("should write one JSON object per line", () => {
+        const stream = { write: jest.fn() };
+        const log = createJsonLogger(stream);
+        log.notice("\x1b[1mStarting compiler for nick.\x1b[0m", { requestId: "abc" });
+        log.info("Serving nick...", { requestId: null });
+        expect(getLines(stream)).toEqual([
+            {
+                time: expect.any(String),
+                level: "notice",
+                name: "kevin",
+                msg: "Starting compiler for nick.",
+                requestId: "abc",
+            },
+            {
+                time: expect.any(String),
+                level: "info",
+                name: "kevin",
+                msg: "Serving nick...",
+            },
+        ]);
+    });
+
+    it("should include the stack of errors", () => {
+        const stream = { write: jest.fn() };
+        createJsonLogger(stream).error(new Error("oh no"));
+        const [line] = getLines(stream);
+        expect(line.msg).toEqual("oh no");
+        expect(line.stack).toContain("Error: oh no");
+    });
+});
@@ -0,0 +1,1478 @@
+"use strict";
+
+const Kevin = require("../../lib/middleware");
+const CompilerManager = require("../../lib/CompilerManager");
+const PublicConfigManager = require("../../lib/PublicConfigManager");
+const { EventEmitter } = require("events");
+const { createFsFromVolume, Volume } = require("memfs");
+const {
+    FIRST_BUILD,
+    BUILDING,
+    ERROR,
+    DONE,
+    REASON_IDLE,
+    BUILD_TIMEOUT,
+} = require("../../lib/constants");
+
+beforeAll(() => {
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    jest.spyOn(global.console, "error").mockImplementation(() => {});
+});
+
+afterAll(() => {
+    global.console.log.mockRestore();
+    global.console.error.mockRestore();
+});
+
+const getMockCompiler = () => {
+    const hook = { tap: () => {} };
+    return {
+        hooks: {
+            invalid: hook,
+            run: hook,
+            watchRun: hook,
+            done: hook,
+            watchClose: hook,
+            failed: hook,
+            assetEmitted: hook,
+            emit: hook,
+        },
+    };
+};
+
+const getConfigs = () => [
+    { name: "nick", entry: { nick: "./nick.js" } },
+    { name: "elback", entry: { elback: "./elback.js" } },
+];
+
+const getMockRequest = (path, method = "GET", query = {}) => ({ path, method, query });
+
+const getMockResponse = () => {
+    const res = { json: jest.fn(), send: jest.fn(), sendStatus: jest.fn() };
+    res.status = jest.fn(() => res);
+    return res;
+};
+
+// The internal API sets headers on its responses
+const getApiResponse = () => {
+    const res = getMockResponse();
+    res.setHeader = jest.fn();
+    return res;
+};
+
+// A Kevin whose nick compiler is active and done building
+const getKevinWithNick = (configs = getConfigs(), options = {}) => {
+    const kevin = new Kevin(configs, options);
+    const compiler = getMockCompiler();
+    compiler.options = { output: { publicPath: "/", path: "/dist" } };
+    kevin.manager.manageCompiler("nick", compiler, {}, DONE);
+    return kevin;
+};
+
+// A Kevin whose nick compiler is done building, and serves the given files from memory
+const getKevinServingFiles = (files, options = {}) => {
+    const kevin = new Kevin(getConfigs(), { outputFileSystem: "memory", ...options });
+    const compiler = getMockCompiler();
+    compiler.options = { output: { publicPath: "/", path: "/dist" } };
+    compiler.outputFileSystem = createFsFromVolume(Volume.fromJSON(files));
+    const watching = { invalidate: jest.fn() };
+    kevin.manager.manageCompiler("nick", compiler, watching, DONE);
+    return kevin;
+};
+
+// Runs a request through Kevin's middleware. Resolves with the response once Kevin sends
+// it, or with null if Kevin passes the request along.
+const requestAsset = (kevin, path) => {
+    const req = { ...getMockRequest(path), get: () => undefined, on: jest.fn() };
+    const res = getMockResponse();
+    res.setHeader = jest.fn();
+    res.type = jest.fn();
+    return new Promise((resolve) => {
+        res.send.mockImplementation(() => resolve(res));
+        kevin.getMiddleware()(req, res, () => resolve(null));
+    });
+};
+
+// Lets every pending promise settle, e.g. until a request is waiting on a build
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+// Asks the internal API how Kevin would handle a request for the given path
+const resolveRequest = (kevin, path) => {
+    const res = getApiResponse();
+    kevin.getMiddleware()(
+        getMockRequest("/__kevin/resolve", "GET", { path }),
+        res,
+        jest.fn()
+    );
+    return res.json.mock.calls[0][0];
+};
+
+describe("compilerManager option", () => {
+    it("should give every instance of Kevin its own CompilerManager", () => {
+        const kevin1 = new Kevin(getConfigs());
+        const kevin2 = new Kevin(getConfigs());
+        expect(kevin1.manager).toBeInstanceOf(CompilerManager);
+        expect(kevin2.manager).toBeInstanceOf(CompilerManager);
+        expect(kevin1.manager).not.toBe(kevin2.manager);
+    });
+
+    it("should use the CompilerManager it's given", () => {
+        const compilerManager = new CompilerManager();
+        const kevin = new Kevin(getConfigs(), { compilerManager });
+        expect(kevin.manager).toBe(compilerManager);
+    });
+
+    it("should log about options the CompilerManager it's given ignores", () => {
+        const logger = { info: jest.fn(), notice: jest.fn(), error: jest.fn() };
+        new Kevin(getConfigs(), { compilerManager: new CompilerManager(), logger });
+        expect(logger.error).not.toHaveBeenCalled();
+
+        new Kevin(getConfigs(), {
+            compilerManager: new CompilerManager(),
+            evictionStrategy: "lru",
+            staleWhileRebuilding: true,
+            logger,
+        });
+        expect(logger.error).toHaveBeenCalledWith(
+            expect.stringContaining("evictionStrategy and staleWhileRebuilding")
+        );
+
+        logger.error.mockClear();
+        new Kevin(getConfigs(), {
+            compilerManager: new CompilerManager({
+                evictionStrategy: "lru",
+                retainLastGoodBuild: true,
+            }),
+            evictionStrategy: "lru",
+            staleWhileRebuilding: true,
+            logger,
+        });
+        expect(logger.error).not.toHaveBeenCalled();
+    });
+
+    it("should scope the PublicConfigManager to the instance's CompilerManager", () => {
+        const compilerManager = new CompilerManager();
+        compilerManager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const kevin = new Kevin(getConfigs(), { compilerManager });
+        const otherKevin = new Kevin(getConfigs());
+
+        let configManager;
+        kevin.hooks.start.tap("test", (configs, manager) => {
+            configManager = manager;
+        });
+        kevin.getMiddleware();
+        otherKevin.getMiddleware();
+
+        expect(configManager).toBeInstanceOf(PublicConfigManager);
+        expect(configManager.getActiveCompilerNames()).toEqual(["nick"]);
+        expect(otherKevin.manager.countActiveCompilers()).toEqual(0);
+    });
+
+    it("should scope the internal API to the instance's CompilerManager", () => {
+        const compilerManager = new CompilerManager();
+        compilerManager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const middleware = new Kevin(getConfigs(), { compilerManager }).getMiddleware();
+        const otherMiddleware = new Kevin(getConfigs()).getMiddleware();
+
+        const res = getMockResponse();
+        middleware(getMockRequest("/__kevin/build-status"), res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith({ nick: DONE });
+
+        const otherRes = getMockResponse();
+        otherMiddleware(getMockRequest("/__kevin/build-status"), otherRes, jest.fn());
+        expect(otherRes.json).toHaveBeenCalledWith({});
+    });
+});
+
+describe("close", () => {
+    it("should close every compiler and call the shutdown hook", () => {
+        const compilerManager = new CompilerManager();
+        const watching = { close: jest.fn((callback) => callback()) };
+        compilerManager.manageCompiler("nick", getMockCompiler(), watching, DONE);
+        compilerManager.manageCompiler("elback", getMockCompiler(), watching, DONE);
+        const kevin = new Kevin(getConfigs(), { compilerManager });
+        const shutdown = jest.fn();
+        kevin.hooks.shutdown.tap("test", shutdown);
+
+        return kevin.close().then((names) => {
+            expect(shutdown).toHaveBeenCalledWith(["nick", "elback"]);
+            expect(names).toEqual(["nick", "elback"]);
+            expect(watching.close).toHaveBeenCalledTimes(2);
+            expect(compilerManager.countActiveCompilers()).toEqual(0);
+        });
+    });
+});
+
+describe("events", () => {
+    const getMockEventResponse = () => {
+        const res = new EventEmitter();
+        res.writeHead = jest.fn();
+        res.write = jest.fn();
+        res.end = jest.fn();
+        return res;
+    };
+    const getSentEvents = (res) =>
+        res.write.mock.calls
+            .map(([message]) => message.match(/^event: (.*)\ndata: (.*)\n\n$/))
+            .filter(Boolean)
+            .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+
+    it("should stream compiler starts, status changes and errors", () => {
+        const kevin = new Kevin(getConfigs());
+        const middleware = kevin.getMiddleware();
+        const res = getMockEventResponse();
+        middleware(getMockRequest("/__kevin/events"), res, jest.fn());
+
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {});
+        kevin.manager.setStatus("nick", DONE);
+        kevin.manager.setStatus("nick", ERROR, [new Error("oh no")]);
+
+        expect(getSentEvents(res)).toEqual([
+            { event: "start", data: { compiler: "nick", status: FIRST_BUILD } },
+            {
+                event: "status",
+                data: {
+                    compiler: "nick",
+                    status: DONE,
+                    previousStatus: FIRST_BUILD,
+                    hash: null,
+                    changedAssets: [],
+                },
+            },
+            {
+                event: "status",
+                data: { compiler: "nick", status: ERROR, previousStatus: DONE },
+            },
+            {
+                event: "build-error",
+                data: {
+                    compiler: "nick",
+                    errors: [{ message: "oh no", moduleName: null, loc: null }],
+                },
+            },
+        ]);
+    });
+
+    it("should only stream events for the compiler that was asked for", () => {
+        const kevin = new Kevin(getConfigs());
+        const middleware = kevin.getMiddleware();
+        const res = getMockEventResponse();
+        middleware(
+            getMockRequest("/__kevin/events", "GET", { compiler: "elback" }),
+            res,
+            jest.fn()
+        );
+
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {});
+        kevin.manager.manageCompiler("elback", getMockCompiler(), {});
+        expect(getSentEvents(res)).toEqual([
+            { event: "start", data: { compiler: "elback", status: FIRST_BUILD } },
+        ]);
+    });
+
+    it("should stream evictions and end the stream on close", () => {
+        const kevin = new Kevin(getConfigs());
+        const middleware = kevin.getMiddleware();
+        const res = getMockEventResponse();
+        middleware(getMockRequest("/__kevin/events"), res, jest.fn());
+        const watching = { close: jest.fn((callback) => callback()) };
+        kevin.manager.manageCompiler("nick", getMockCompiler(), watching, DONE);
+
+        return kevin
+            .evictCompiler("nick", REASON_IDLE)
+            .then(() => {
+                expect(getSentEvents(res).pop()).toEqual({
+                    event: "evict",
+                    data: { compiler: "nick", reason: REASON_IDLE },
+                });
+                return kevin.close();
+            })
+            .then(() => {
+                expect(res.end).toHaveBeenCalled();
+            });
+    });
+});
+
+describe("outputFileSystem option", () => {
+    it("should build into an in-memory filesystem instead of the disk", () => {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const context = fs.mkdtempSync(path.join(os.tmpdir(), "kevin-"));
+        fs.writeFileSync(path.join(context, "nick.js"), "console.log('nick');");
+        const outputPath = path.join(context, "dist");
+        const kevin = new Kevin(
+            [
+                {
+                    name: "nick",
+                    mode: "development",
+                    context,
+                    entry: { nick: "./nick.js" },
+                    output: { path: outputPath },
+                },
+            ],
+            { outputFileSystem: "memory", logLevel: "silent" }
+        );
+        return kevin
+            .buildConfig("nick")
+            .then(() => kevin.waitForBuild("nick"))
+            .then(() => {
+                const outputFs = kevin.manager.getWebpackCompiler("nick")
+                    .outputFileSystem;
+                expect(outputFs).not.toBe(fs);
+                expect(
+                    outputFs.readFileSync(path.join(outputPath, "nick.js"), "utf8")
+                ).toContain("console.log('nick');");
+                // Nothing was written to disk
+                expect(fs.existsSync(outputPath)).toEqual(false);
+            })
+            .finally(() => {
+                fs.rmSync(context, { recursive: true, force: true });
+                return kevin.close();
+            });
+    });
+
+    it("should throw for anything other than disk or memory", () => {
+        expect(() => new Kevin(getConfigs(), { outputFileSystem: "cloud" })).toThrow(
+            "cloud is not a valid outputFileSystem"
+        );
+    });
+
+    it("should serve assets from the compiler's in-memory filesystem", () => {
+        const kevin = new Kevin(getConfigs(), { outputFileSystem: "memory" });
+        const compiler = getMockCompiler();
+        compiler.options = { output: { publicPath: "/", path: "/dist" } };
+        compiler.outputFileSystem = createFsFromVolume(
+            Volume.fromJSON({ "/dist/nick.js": "console.log('nick');" })
+        );
+        kevin.manager.manageCompiler("nick", compiler, {}, DONE);
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        return kevin
+            .serveAsset({
+                req: getMockRequest("/nick.js"),
+                res,
+                assetName: "nick",
+                configName: "nick",
+            })
+            .then(() => {
+                expect(res.send.mock.calls[0][0].toString()).toEqual(
+                    "console.log('nick');"
+                );
+                // The asset isn't on disk, so there's no location to report
+                expect(res.setHeader).not.toHaveBeenCalledWith(
+                    "X-Kevin-Asset-Disk-Location",
+                    expect.anything()
+                );
+            });
+    });
+});
+
+describe("hot option", () => {
+    const webpack = require("webpack");
+
+    it("should add the HMR plugin and client to the configs it builds", () => {
+        const kevin = new Kevin(getConfigs(), {
+            hot: true,
+            kevinPublicPath: "http://localhost:3000",
+        });
+        const hotConfig = kevin.getHotConfig(getConfigs()[0]);
+        expect(hotConfig.plugins).toEqual([
+            expect.any(webpack.HotModuleReplacementPlugin),
+        ]);
+        expect(hotConfig.entry.nick).toEqual([
+            expect.stringMatching(
+                /hotClient\.js\?compiler=nick&events=http%3A%2F%2Flocalhost%3A3000%2F__kevin%2Fevents$/
+            ),
+            "./nick.js",
+        ]);
+    });
+
+    it("shouldn't add the HMR plugin twice", () => {
+        const kevin = new Kevin(getConfigs(), { hot: true });
+        const plugin = new webpack.HotModuleReplacementPlugin();
+        const hotConfig = kevin.getHotConfig({ ...getConfigs()[0], plugins: [plugin] });
+        expect(hotConfig.plugins).toEqual([plugin]);
+    });
+});
+
+describe("watchOptions option", () => {
+    it("should merge each config's watch options on top of the defaults", () => {
+        const kevin = new Kevin(getConfigs());
+        expect(kevin.getWatchOptions(getConfigs()[0])).toEqual({
+            aggregateTimeout: 1000,
+        });
+
+        const config = { ...getConfigs()[0], watchOptions: { poll: 1000 } };
+        expect(kevin.getWatchOptions(config)).toEqual({
+            aggregateTimeout: 1000,
+            poll: 1000,
+        });
+
+        const otherKevin = new Kevin(getConfigs(), {
+            watchOptions: { aggregateTimeout: 300, ignored: /node_modules/ },
+        });
+        expect(otherKevin.getWatchOptions(config)).toEqual({
+            aggregateTimeout: 300,
+            ignored: /node_modules/,
+            poll: 1000,
+        });
+    });
+
+    it("should keep the default aggregateTimeout when given other watch options", () => {
+        const kevin = new Kevin(getConfigs(), { watchOptions: { poll: 1000 } });
+        expect(kevin.getWatchOptions(getConfigs()[0])).toEqual({
+            aggregateTimeout: 1000,
+            poll: 1000,
+        });
+    });
+
+    it("should report each config's watch options in the internal API", () => {
+        const configs = getConfigs();
+        configs[1].watchOptions = { ignored: /node_modules/ };
+        const kevin = new Kevin(configs);
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const middleware = kevin.getMiddleware();
+
+        const res = getMockResponse();
+        middleware(getMockRequest("/__kevin/compiler-info"), res, jest.fn());
+        const { compilers } = res.json.mock.calls[0][0];
+        expect(compilers.nick.watchOptions).toEqual({ aggregateTimeout: 1000 });
+        expect(compilers.elback.watchOptions).toEqual({
+            aggregateTimeout: 1000,
+            ignored: "/node_modules/",
+        });
+    });
+});
+
+describe("liveReload option", () => {
+    it("should only track changed assets when live reloading", () => {
+        const getManager = (options) => new Kevin(getConfigs(), options).manager;
+        expect(getManager({ liveReload: true }).trackChangedAssets).toEqual(true);
+        expect(getManager().trackChangedAssets).toEqual(false);
+        // Hot module replacement doesn't need them
+        expect(getManager({ liveReload: true, hot: true }).trackChangedAssets).toEqual(
+            false
+        );
+    });
+});
+
+describe("warningsInConsole option", () => {
+    it("should log the compiler's warnings from the entrypoints it serves", () => {
+        const kevin = getKevinServingFiles(
+            { "/dist/nick.js": "console.log('nick');" },
+            { warningsInConsole: true }
+        );
+        kevin.manager.activeCompilers.nick.setCurrentWarnings([
+            { message: "Careful now", moduleName: "./nick.js", loc: "1:1" },
+        ]);
+        return requestAsset(kevin, "/nick.js").then((res) => {
+            const content = res.send.mock.calls[0][0].toString();
+            expect(content).toMatch(/^console\.log\('nick'\);\n;\(function\(\) \{/);
+            expect(content).toContain('"message":"Careful now"');
+            expect(content).toContain('the \\"nick\\" compiler reported');
+        });
+    });
+});
+
+describe("staleWhileRebuilding option", () => {
+    const getStaleKevin = () => {
+        const kevin = new Kevin(getConfigs(), { staleWhileRebuilding: true });
+        const compiler = getMockCompiler();
+        compiler.options = { output: { publicPath: "/", path: "/dist" } };
+        kevin.manager.manageCompiler("nick", compiler, {}, BUILDING);
+        kevin.manager.activeCompilers.nick.lastGoodBuild = {
+            hash: "abc",
+            assets: new Map([
+                ["nick.js", Buffer.from("good")],
+                ["js/app.abc.js", Buffer.from("good app")],
+            ]),
+            entrypointFiles: new Map([["app", "js/app.abc.js"]]),
+        };
+        return kevin;
+    };
+
+    it("should tell its compilers to hold on to their last good build", () => {
+        expect(getStaleKevin().manager.retainLastGoodBuild).toEqual(true);
+        expect(new Kevin(getConfigs()).manager.retainLastGoodBuild).toEqual(false);
+    });
+
+    it("should only serve stale assets while building or broken", () => {
+        const kevin = getStaleKevin();
+        expect(kevin.canServeStaleAsset("nick", "/nick.js")).toEqual(true);
+        expect(kevin.canServeStaleAsset("nick", "/other.js")).toEqual(false);
+        expect(kevin.canServeStaleAsset("elback", "/elback.js")).toEqual(false);
+        kevin.manager.setStatus("nick", ERROR, [new Error("oh no")]);
+        expect(kevin.canServeStaleAsset("nick", "/nick.js")).toEqual(true);
+        kevin.manager.setStatus("nick", DONE);
+        expect(kevin.canServeStaleAsset("nick", "/nick.js")).toEqual(false);
+    });
+
+    it("should serve the last good build, and say that it's stale", () => {
+        const kevin = getStaleKevin();
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        return kevin
+            .serveStaleAsset({
+                req: getMockRequest("/nick.js"),
+                res,
+                assetName: "nick",
+                configName: "nick",
+            })
+            .then(() => {
+                expect(res.setHeader).toHaveBeenCalledWith("X-Kevin-Stale", "true");
+                const content = res.send.mock.calls[0][0].toString();
+                expect(content).toMatch(/^good\n;/);
+                expect(content).toContain("it's being rebuilt");
+            });
+    });
+
+    it("should serve entrypoints matched by filename from the last good build", () => {
+        const kevin = getStaleKevin();
+        // The request's hash doesn't match the last good build's
+        expect(kevin.canServeStaleAsset("nick", "/js/app.def.js")).toEqual(false);
+        expect(kevin.canServeStaleAsset("nick", "/js/app.def.js", "app")).toEqual(true);
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        return kevin
+            .serveStaleAsset({
+                req: getMockRequest("/js/app.def.js"),
+                res,
+                assetName: "js/app.def",
+                entryName: "app",
+                configName: "nick",
+            })
+            .then(() => {
+                expect(res.send.mock.calls[0][0].toString()).toMatch(/^good app\n;/);
+            });
+    });
+});
+
+describe("pinning", () => {
+    it("should pin the configs it's given", () => {
+        const kevin = new Kevin(getConfigs(), { pinnedConfigs: ["nick"] });
+        expect(kevin.manager.isCompilerPinned("nick")).toEqual(true);
+        expect(kevin.manager.isCompilerPinned("elback")).toEqual(false);
+    });
+
+    it("should refuse to pin configs that don't exist", () => {
+        const kevin = new Kevin(getConfigs());
+        expect(kevin.pinConfig("three doors down")).toEqual(false);
+        expect(kevin.manager.isCompilerPinned("three doors down")).toEqual(false);
+    });
+
+    it("should pin and unpin configs through the internal API", () => {
+        const kevin = new Kevin(getConfigs());
+        const middleware = kevin.getMiddleware();
+
+        const res = getMockResponse();
+        middleware(
+            getMockRequest("/__kevin/pin-compiler", "POST", { compiler: "nick" }),
+            res,
+            jest.fn()
+        );
+        expect(res.sendStatus).toHaveBeenCalledWith(200);
+        expect(kevin.manager.isCompilerPinned("nick")).toEqual(true);
+
+        middleware(
+            getMockRequest("/__kevin/unpin-compiler", "POST", { compiler: "nick" }),
+            res,
+            jest.fn()
+        );
+        expect(kevin.manager.isCompilerPinned("nick")).toEqual(false);
+
+        middleware(
+            getMockRequest("/__kevin/pin-compiler", "POST", { compiler: "nope" }),
+            res,
+            jest.fn()
+        );
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("shouldn't evict anything when every active compiler is pinned", () => {
+        const compilerManager = new CompilerManager();
+        compilerManager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const kevin = new Kevin(getConfigs(), {
+            compilerManager,
+            pinnedConfigs: ["nick"],
+        });
+        return kevin.closeCompilersIfNeeded(1, "elback").then((evicted) => {
+            expect(evicted).toEqual([]);
+            expect(compilerManager.isCompilerActive("nick")).toEqual(true);
+        });
+    });
+});
+
+describe("prewarm", () => {
+    const getConfigsToPrewarm = () => [
+        ...getConfigs(),
+        { name: "isnt", entry: { isnt: "./isnt.js" } },
+    ];
+
+    // Pretend to start compilers without actually running webpack
+    const mockBuildConfig = (kevin) =>
+        jest.spyOn(kevin, "buildConfig").mockImplementation((configName) => {
+            kevin.manager.manageCompiler(configName, getMockCompiler(), {});
+            return Promise.resolve(true);
+        });
+
+    it("should start compilers for the given configs", () => {
+        const kevin = new Kevin(getConfigsToPrewarm());
+        mockBuildConfig(kevin);
+        return kevin.prewarmConfigs(["nick", "elback"]).then((started) => {
+            expect(started).toEqual(["nick", "elback"]);
+            expect(kevin.manager.isCompilerActive("nick")).toEqual(true);
+            expect(kevin.manager.isCompilerActive("elback")).toEqual(true);
+            expect(kevin.manager.isCompilerPinned("nick")).toEqual(false);
+        });
+    });
+
+    it("should never start more than maxCompilers", () => {
+        const kevin = new Kevin(getConfigsToPrewarm(), { maxCompilers: 2 });
+        mockBuildConfig(kevin);
+        return kevin.prewarmConfigs(["nick", "elback", "isnt"]).then((started) => {
+            expect(started).toEqual(["nick", "elback"]);
+            expect(kevin.manager.isCompilerActive("isnt")).toEqual(false);
+        });
+    });
+
+    it("should skip configs that don't exist or are already running", () => {
+        const kevin = new Kevin(getConfigsToPrewarm());
+        mockBuildConfig(kevin);
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {});
+        return kevin.prewarmConfigs(["nick", "nope", "elback"]).then((started) => {
+            expect(started).toEqual(["elback"]);
+        });
+    });
+
+    it("should pin the configs it starts if asked to", () => {
+        const kevin = new Kevin(getConfigsToPrewarm());
+        mockBuildConfig(kevin);
+        return kevin.prewarmConfigs(["nick"], { pin: true }).then(() => {
+            expect(kevin.manager.getInfoForCompiler("nick").pinned).toEqual(true);
+        });
+    });
+
+    it("should prewarm configs from the prewarm option when the middleware is made", () => {
+        const prewarm = jest.fn((configs) => [configs[2].name]);
+        const kevin = new Kevin(getConfigsToPrewarm(), {
+            prewarm,
+            pinPrewarmedConfigs: true,
+        });
+        const buildConfig = mockBuildConfig(kevin);
+        kevin.getMiddleware();
+        expect(prewarm).toHaveBeenCalledWith(kevin.configs);
+        expect(buildConfig).toHaveBeenCalledWith("isnt");
+        expect(kevin.manager.isCompilerPinned("isnt")).toEqual(true);
+    });
+});
+
+describe("memory budget", () => {
+    const getConfigsForBudget = () => [
+        ...getConfigs(),
+        { name: "isnt", entry: { isnt: "./isnt.js" } },
+        { name: "good", entry: { good: "./good.js" } },
+    ];
+
+    // Sets up a manager with three compilers, from least to most used, and a process
+    // that's using 1000MB of heap
+    const getManagerForBudget = () => {
+        const compilerManager = new CompilerManager();
+        const watching = { close: (callback) => callback() };
+        ["nick", "elback", "isnt"].forEach((name, i) => {
+            compilerManager.manageCompiler(name, getMockCompiler(), watching, DONE);
+            for (let uses = 0; uses < i; uses++) {
+                compilerManager.noteCompilerUsage(name);
+            }
+        });
+        jest.spyOn(compilerManager, "getMemoryUsageInMB").mockReturnValue({
+            heapUsed: 1000,
+            rss: 1500,
+        });
+        return compilerManager;
+    };
+
+    it("shouldn't evict anything without a budget", () => {
+        const compilerManager = getManagerForBudget();
+        const kevin = new Kevin(getConfigsForBudget(), {
+            compilerManager,
+            maxCompilers: 0,
+        });
+        return kevin.closeCompilersIfNeeded(0, "good").then((evicted) => {
+            expect(evicted).toEqual([]);
+        });
+    });
+
+    it("should evict least used compilers until we're under budget", () => {
+        const compilerManager = getManagerForBudget();
+        compilerManager.activeCompilers.nick.memoryDelta = {
+            heapUsed: 200 * 1024 * 1024,
+            rss: 0,
+        };
+        compilerManager.activeCompilers.elback.memoryDelta = {
+            heapUsed: 200 * 1024 * 1024,
+            rss: 0,
+        };
+        const kevin = new Kevin(getConfigsForBudget(), {
+            compilerManager,
+            maxCompilers: 0,
+            maxHeapMB: 700,
+        });
+        return kevin.closeCompilersIfNeeded(0, "good").then((evicted) => {
+            expect(evicted).toEqual(["nick", "elback"]);
+            expect(compilerManager.isCompilerActive("isnt")).toEqual(true);
+        });
+    });
+
+    it("should treat footprints of 0 or less as unknown", () => {
+        const compilerManager = getManagerForBudget();
+        // The garbage collector ran during nick's first build
+        compilerManager.activeCompilers.nick.memoryDelta = {
+            heapUsed: -50 * 1024 * 1024,
+            rss: 100 * 1024 * 1024,
+        };
+        compilerManager.activeCompilers.elback.memoryDelta = {
+            heapUsed: 200 * 1024 * 1024,
+            rss: 0,
+        };
+        const kevin = new Kevin(getConfigsForBudget(), {
+            compilerManager,
+            maxCompilers: 0,
+            maxHeapMB: 700,
+        });
+        return kevin.closeCompilersIfNeeded(0, "good").then((evicted) => {
+            expect(evicted).toEqual(["nick"]);
+            expect(compilerManager.isCompilerActive("elback")).toEqual(true);
+        });
+    });
+
+    it("should stop evicting when it doesn't know how much memory it's freed", () => {
+        const compilerManager = getManagerForBudget();
+        const kevin = new Kevin(getConfigsForBudget(), {
+            compilerManager,
+            maxCompilers: 0,
+            maxRssMB: 700,
+        });
+        return kevin.closeCompilersIfNeeded(0, "good").then((evicted) => {
+            expect(evicted).toEqual(["nick"]);
+        });
+    });
+});
+
+describe("idleTimeoutMinutes", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("should close idle compilers and tell the compilerClose hook why", () => {
+        const compilerManager = new CompilerManager();
+        const watching = { close: jest.fn() };
+        compilerManager.manageCompiler("nick", getMockCompiler(), watching, DONE);
+        compilerManager.activeCompilers.nick.lastUse = Date.now() - 60 * 60 * 1000;
+        const kevin = new Kevin(getConfigs(), {
+            compilerManager,
+            idleTimeoutMinutes: 30,
+        });
+        const compilerClose = jest.fn();
+        kevin.hooks.compilerClose.tap("test", compilerClose);
+        kevin.getMiddleware();
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(compilerClose).toHaveBeenCalledWith(
+            expect.objectContaining({ compilerToEvict: "nick", reason: "idle" })
+        );
+        expect(watching.close).toHaveBeenCalled();
+        compilerManager.stopIdleChecks();
+    });
+});
+
+describe("emitted assets", () => {
+    // nick's last build emitted a stylesheet and a chunk next to its entrypoint. An
+    // older build left another chunk behind.
+    const getKevinWithEmittedAssets = () => {
+        const kevin = getKevinServingFiles({
+            "/dist/nick.js": "console.log('nick');",
+            "/dist/nick.css": "body { color: hotpink; }",
+            "/dist/1.chunk.js": "console.log('chunk');",
+            "/dist/2.chunk.js": "console.log('old chunk');",
+        });
+        kevin.manager.activeCompilers.nick.setEmittedAssets({
+            compilation: {
+                assets: { "nick.js": {}, "nick.css": {}, "1.chunk.js": {} },
+            },
+        });
+        return kevin;
+    };
+
+    it("should serve them from the compiler that emitted them", () => {
+        const kevin = getKevinWithEmittedAssets();
+        return requestAsset(kevin, "/nick.css")
+            .then((res) => {
+                expect(res.type).toHaveBeenCalledWith(".css");
+                expect(res.send.mock.calls[0][0].toString()).toEqual(
+                    "body { color: hotpink; }"
+                );
+                return requestAsset(kevin, "/1.chunk.js");
+            })
+            .then((res) => {
+                expect(res.type).toHaveBeenCalledWith(".js");
+                expect(res.send.mock.calls[0][0].toString()).toEqual(
+                    "console.log('chunk');"
+                );
+            });
+    });
+
+    it("should wait for the compiler to finish building", () => {
+        const kevin = getKevinWithEmittedAssets();
+        const compiler = kevin.manager.activeCompilers.nick;
+        compiler.setStatus(BUILDING);
+
+        const response = requestAsset(kevin, "/1.chunk.js");
+        return flushPromises()
+            .then(() => {
+                expect(compiler.callbacks).toHaveLength(1);
+                compiler.setStatus(DONE);
+                compiler.resolveCallbacks(false);
+                return response;
+            })
+            .then((res) => {
+                expect(res.send.mock.calls[0][0].toString()).toEqual(
+                    "console.log('chunk');"
+                );
+            });
+    });
+
+    it("should pass along requests for assets the last build didn't emit", () => {
+        return requestAsset(getKevinWithEmittedAssets(), "/2.chunk.js").then((res) => {
+            expect(res).toEqual(null);
+        });
+    });
+});
+
+describe("build errors", () => {
+    it("should show an entrypoint's build errors in an overlay", () => {
+        const kevin = getKevinServingFiles(
+            {},
+            { kevinPublicPath: "http://localhost:3000" }
+        );
+        const compiler = kevin.manager.activeCompilers.nick;
+        const errors = [new Error("Module parse failed")];
+        const errorDetails = [
+            { message: "Module parse failed", moduleName: "./nick.js", loc: "1:10" },
+        ];
+        compiler.setStatus(ERROR, errors, errorDetails);
+
+        const response = requestAsset(kevin, "/nick.js");
+        return flushPromises()
+            .then(() => {
+                // The request retries the build, which fails again
+                expect(compiler.watching.invalidate).toHaveBeenCalled();
+                compiler.setStatus(ERROR, errors, errorDetails);
+                compiler.rejectCallbacks(errors);
+                return response;
+            })
+            .then((res) => {
+                expect(res.setHeader).toHaveBeenCalledWith(
+                    "Content-Type",
+                    "application/javascript; charset=UTF-8"
+                );
+                const content = res.send.mock.calls[0][0];
+                expect(content).toContain(
+                    '"message":"Module parse failed","moduleName":"./nick.js","loc":"1:10"'
+                );
+                expect(content).toContain(
+                    '"http://localhost:3000/__kevin/restart-compiler?compiler=nick"'
+                );
+            });
+    });
+});
+
+describe("buildTimeoutMs option", () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const getBuildingKevin = (options) => {
+        const kevin = new Kevin(getConfigs(), { buildTimeoutMs: 5000, ...options });
+        const watching = { invalidate: jest.fn() };
+        kevin.manager.manageCompiler("nick", getMockCompiler(), watching, BUILDING);
+        return kevin;
+    };
+
+    it("should refuse invalid timeout actions", () => {
+        expect(() => new Kevin(getConfigs(), { buildTimeoutAction: "panic" })).toThrow(
+            /is not a valid buildTimeoutAction/
+        );
+    });
+
+    it("should give up on builds that take too long", () => {
+        const kevin = getBuildingKevin();
+        const promise = kevin.buildConfig("nick");
+        expect(kevin.manager.getInfoForCompiler("nick").waitingRequests).toEqual(1);
+
+        jest.advanceTimersByTime(5000);
+        expect(kevin.manager.getInfoForCompiler("nick").waitingRequests).toEqual(0);
+        return expect(promise).rejects.toMatchObject({ code: BUILD_TIMEOUT });
+    });
+
+    it("shouldn't give up on builds that finish in time", () => {
+        const kevin = getBuildingKevin();
+        const promise = kevin.buildConfig("nick");
+        kevin.manager.activeCompilers.nick.resolveCallbacks(false);
+        jest.advanceTimersByTime(5000);
+        return expect(promise).resolves.toEqual(false);
+    });
+
+    it("should invalidate stalled compilers once per timeout", () => {
+        const kevin = getBuildingKevin({ buildTimeoutAction: "invalidate" });
+        const invalidate = jest.spyOn(kevin.manager, "invalidateCompiler");
+        const promises = [kevin.buildConfig("nick"), kevin.buildConfig("nick")];
+        jest.advanceTimersByTime(5000);
+        expect(invalidate).toHaveBeenCalledTimes(1);
+        expect(invalidate).toHaveBeenCalledWith("nick");
+        return Promise.all(promises.map((promise) => promise.catch(() => {})));
+    });
+
+    it("should restart stalled compilers", () => {
+        const kevin = getBuildingKevin({ buildTimeoutAction: "restart" });
+        const restart = jest
+            .spyOn(kevin, "restartCompiler")
+            .mockImplementation(() => Promise.resolve("nick"));
+        const promise = kevin.buildConfig("nick");
+        jest.advanceTimersByTime(5000);
+        expect(restart).toHaveBeenCalledWith("nick");
+        return promise.catch(() => {});
+    });
+
+    it("should explain stalled builds to whoever was waiting", () => {
+        const kevin = getBuildingKevin();
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        const err = new Error("Kevin waited 5000ms for nick to finish building");
+        err.code = BUILD_TIMEOUT;
+
+        kevin.serveError({ res, configName: "nick", isEntrypoint: false, err });
+        expect(res.status).toHaveBeenCalledWith(504);
+
+        kevin.serveError({ res, configName: "nick", assetName: "nick", err });
+        expect(res.send).toHaveBeenLastCalledWith(
+            expect.stringContaining("Kevin waited 5000ms for nick to finish building")
+        );
+    });
+});
+
+describe("disconnected requests", () => {
+    const getWaitingRequest = () => {
+        const kevin = new Kevin(getConfigs(), { buildTimeoutMs: 5000 });
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, BUILDING);
+        const req = new EventEmitter();
+        const res = { writableEnded: false };
+        const promise = kevin.buildConfig("nick", { req, res });
+        return { kevin, req, res, promise };
+    };
+
+    it("should stop waiting on builds for requests that went away", () => {
+        const { kevin, req, promise } = getWaitingRequest();
+        const settled = jest.fn();
+        promise.then(settled, settled);
+        expect(kevin.manager.getInfoForCompiler("nick").waitingRequests).toEqual(1);
+
+        req.emit("close");
+        expect(kevin.manager.getInfoForCompiler("nick").waitingRequests).toEqual(0);
+        kevin.manager.activeCompilers.nick.resolveCallbacks(false);
+        return Promise.resolve().then(() => {
+            expect(settled).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should ignore requests that closed because they're done", () => {
+        const { kevin, req, res, promise } = getWaitingRequest();
+        res.writableEnded = true;
+        req.emit("close");
+        expect(kevin.manager.getInfoForCompiler("nick").waitingRequests).toEqual(1);
+        kevin.manager.activeCompilers.nick.resolveCallbacks(false);
+        return expect(promise).resolves.toEqual(false);
+    });
+});
+
+describe("request IDs", () => {
+    const getRequest = (headers = {}) => ({
+        ...getMockRequest("/nick.js"),
+        get: (name) => headers[name.toLowerCase()],
+    });
+    const handleRequest = (kevin, req) => {
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        return new Promise((resolve) => {
+            kevin.getMiddleware()(req, res, () => resolve(res));
+        });
+    };
+    const getKevin = () => getKevinWithNick(getConfigs(), { buildOnly: true });
+
+    it("should reuse the incoming request ID, and send it back", () => {
+        const kevin = getKevin();
+        const handleRequestTap = jest.fn();
+        kevin.hooks.handleRequest.tap("test", handleRequestTap);
+        const req = getRequest({ "x-request-id": "page-load-1" });
+        return handleRequest(kevin, req).then((res) => {
+            expect(res.setHeader).toHaveBeenCalledWith("X-Request-Id", "page-load-1");
+            expect(handleRequestTap).toHaveBeenCalledWith(
+                req,
+                "nick",
+                "nick",
+                "page-load-1"
+            );
+            expect(global.console.log).toHaveBeenCalledWith(
+                expect.stringContaining("(page-load-1)")
+            );
+        });
+    });
+
+    it("should make up a request ID if there isn't one", () => {
+        return handleRequest(getKevin(), getRequest()).then((res) => {
+            const [header, requestId] = res.setHeader.mock.calls.find(
+                ([name]) => name === "X-Request-Id"
+            );
+            expect(header).toEqual("X-Request-Id");
+            expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+        });
+    });
+
+    it("shouldn't send a request ID for requests it passes along", () => {
+        const req = {
+            ...getRequest({ "x-request-id": "page-load-1" }),
+            path: "/not-ours.js",
+        };
+        return handleRequest(getKevin(), req).then((res) => {
+            expect(res.setHeader).not.toHaveBeenCalledWith(
+                "X-Request-Id",
+                expect.anything()
+            );
+        });
+    });
+
+    it("should pass the request ID along to evictions", () => {
+        const kevin = new Kevin(getConfigs(), { maxCompilers: 1 });
+        kevin.manager.manageCompiler("elback", getMockCompiler(), {
+            close: (cb) => cb(),
+        });
+        const compilerCloseTap = jest.fn();
+        kevin.hooks.compilerClose.tap("test", compilerCloseTap);
+        return kevin
+            .closeCompilersIfNeeded(1, "nick", "page-load-2")
+            .then((evicted) => {
+                expect(evicted).toEqual(["elback"]);
+                expect(compilerCloseTap).toHaveBeenCalledWith(
+                    expect.objectContaining({ requestId: "page-load-2" })
+                );
+            });
+    });
+});
+
+describe("logger option", () => {
+    it("should send its logs, and its compilers' logs, to the logger", () => {
+        const logger = { info: jest.fn(), notice: jest.fn(), error: jest.fn() };
+        const kevin = new Kevin(getConfigs(), { logger, logLevel: "notice" });
+        kevin.getMiddleware();
+        // The startup banner is logged at the info level
+        expect(logger.info).not.toHaveBeenCalled();
+
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {});
+        kevin.manager.getStatus("parsley");
+        expect(logger.error).toHaveBeenCalledWith(
+            "Couldn't get status of unknown compiler: parsley"
+        );
+        expect(kevin.manager.activeCompilers.nick.log).toBe(kevin.log);
+    });
+
+    it("should complain about invalid log levels", () => {
+        expect(() => new Kevin(getConfigs(), { logLevel: "loud" })).toThrow(
+            "loud is not a valid log level"
+        );
+    });
+});
+
+describe("internal API", () => {
+    it("should list its routes", () => {
+        const middleware = new Kevin(getConfigs()).getMiddleware();
+        const res = getApiResponse();
+        middleware(getMockRequest("/__kevin/"), res, jest.fn());
+        const { routes } = res.json.mock.calls[0][0];
+        expect(routes).toContainEqual({
+            method: "GET",
+            path: "/compilers/:name",
+            description: expect.any(String),
+        });
+        expect(routes).toContainEqual({
+            method: "POST",
+            path: "/stop-compiler",
+            description: expect.any(String),
+        });
+    });
+
+    it("should describe one config, whether or not it's active", () => {
+        const kevin = new Kevin(getConfigs(), { pinnedConfigs: ["elback"] });
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const middleware = kevin.getMiddleware();
+
+        let res = getApiResponse();
+        middleware(getMockRequest("/__kevin/compilers/nick"), res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith(
+            expect.objectContaining({ name: "nick", status: DONE, waitingRequests: 0 })
+        );
+
+        res = getApiResponse();
+        middleware(getMockRequest("/__kevin/compilers/elback"), res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith({
+            name: "elback",
+            status: "not-built",
+            pinned: true,
+            watchOptions: { aggregateTimeout: 1000 },
+        });
+
+        res = getApiResponse();
+        middleware(getMockRequest("/__kevin/compilers/nope"), res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            error: "Kevin couldn't find a config named nope.",
+        });
+    });
+
+    it("should respond with JSON errors", () => {
+        const middleware = new Kevin(getConfigs()).getMiddleware();
+        const next = jest.fn();
+
+        let res = getApiResponse();
+        middleware(getMockRequest("/__kevin/stop-compiler"), res, next);
+        expect(res.status).toHaveBeenCalledWith(405);
+        expect(res.setHeader).toHaveBeenCalledWith("Allow", "POST");
+
+        res = getApiResponse();
+        middleware(
+            getMockRequest("/__kevin/stop-compiler", "POST", { compiler: "nick" }),
+            res,
+            next
+        );
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            error: "Kevin couldn't find a compiler named nick.",
+        });
+
+        res = getApiResponse();
+        middleware(getMockRequest("/__kevin/nope"), res, next);
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should only use query params that are strings", () => {
+        const kevin = new Kevin(getConfigs());
+        const prewarmConfigs = jest
+            .spyOn(kevin, "prewarmConfigs")
+            .mockResolvedValue([]);
+        const middleware = kevin.getMiddleware();
+
+        // i.e. ?path=/a.js&path=/b.js
+        const res = getApiResponse();
+        middleware(
+            getMockRequest("/__kevin/resolve", "GET", { path: ["/a.js", "/b.js"] }),
+            res,
+            jest.fn()
+        );
+        expect(res.status).toHaveBeenCalledWith(400);
+
+        middleware(
+            getMockRequest("/__kevin/prewarm", "POST", {
+                compiler: ["nick", "elback"],
+                pin: ["true", "true"],
+            }),
+            getApiResponse(),
+            jest.fn()
+        );
+        expect(prewarmConfigs).toHaveBeenCalledWith([], { pin: false });
+    });
+
+    it("should refuse to start a compiler right away when at capacity", () => {
+        const kevin = new Kevin(getConfigs(), { maxCompilers: 1 });
+        const buildConfig = jest.spyOn(kevin, "buildConfig").mockResolvedValue();
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const middleware = kevin.getMiddleware();
+
+        const res = getApiResponse();
+        middleware(
+            getMockRequest("/__kevin/start-compiler", "POST", { compiler: "elback" }),
+            res,
+            jest.fn()
+        );
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({ error: expect.any(String) });
+        expect(buildConfig).not.toHaveBeenCalled();
+    });
+
+    it("should start compilers without a limit when maxCompilers is 0", () => {
+        const kevin = new Kevin(getConfigs(), { maxCompilers: 0 });
+        const buildConfig = jest.spyOn(kevin, "buildConfig").mockResolvedValue();
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+
+        kevin.getMiddleware()(
+            getMockRequest("/__kevin/start-compiler", "POST", { compiler: "elback" }),
+            getApiResponse(),
+            jest.fn()
+        );
+        expect(buildConfig).toHaveBeenCalledWith("elback");
+    });
+
+    it("should be mountable on its own", () => {
+        const kevin = new Kevin(getConfigs());
+        kevin.manager.manageCompiler("nick", getMockCompiler(), {}, DONE);
+        const apiMiddleware = kevin.getApiMiddleware({ prefix: "" });
+
+        const res = getApiResponse();
+        apiMiddleware(getMockRequest("/build-status"), res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith({ nick: DONE });
+
+        const next = jest.fn();
+        kevin.getApiMiddleware()(getMockRequest("/nick.js"), getApiResponse(), next);
+        expect(next).toHaveBeenCalled();
+    });
+});
+
+describe("dashboard", () => {
+    it("should be served by the internal API", () => {
+        const middleware = new Kevin(getConfigs(), { maxCompilers: 2 }).getMiddleware();
+        const res = getApiResponse();
+        middleware(getMockRequest("/__kevin/dashboard"), res, jest.fn());
+        expect(res.setHeader).toHaveBeenCalledWith(
+            "Content-Type",
+            "text/html; charset=UTF-8"
+        );
+        expect(res.send.mock.calls[0][0]).toContain("var maxCompilers = 2;");
+    });
+});
+
+describe("resolving requests", () => {
+    const getKevin = () =>
+        getKevinWithNick([
+            ...getConfigs(),
+            {
+                name: "nick-too",
+                entry: { nick: "./nick.js" },
+                output: { path: "/other/dist", publicPath: "/js/" },
+            },
+        ]);
+
+    it("should show which config handles a request, and its other candidates", () => {
+        expect(resolveRequest(getKevin(), "/nick.js")).toEqual({
+            path: "/nick.js",
+            assetName: "nick",
+            candidates: ["nick", "nick-too"],
+            configName: "nick",
+            isEntrypoint: true,
+            entryName: null,
+            compilerActive: true,
+            diskPath: "/dist/nick.js",
+        });
+    });
+
+    it("should work out where inactive configs would put their assets", () => {
+        const kevin = getKevin();
+        kevin.selectConfigName = (reqPath, configNames) =>
+            configNames ? configNames[1] : null;
+        expect(resolveRequest(kevin, "/lib/nick.js")).toEqual(
+            expect.objectContaining({
+                assetName: "lib/nick",
+                candidates: [],
+                configName: null,
+                diskPath: null,
+            })
+        );
+
+        kevin.getAssetName = () => "nick";
+        expect(resolveRequest(kevin, "/js/nick.js")).toEqual(
+            expect.objectContaining({
+                configName: "nick-too",
+                compilerActive: false,
+                diskPath: "/other/dist/nick.js",
+            })
+        );
+
+        // Without output options, we use webpack's defaults
+        expect(resolveRequest(getKevin(), "/elback.js")).toEqual(
+            expect.objectContaining({
+                configName: "elback",
+                diskPath: require("path").join(process.cwd(), "dist", "elback.js"),
+            })
+        );
+    });
+
+    it("should need a path", () => {
+        const res = getApiResponse();
+        getKevin().getMiddleware()(getMockRequest("/__kevin/resolve"), res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should list every entrypoint", () => {
+        const res = getMockResponse();
+        getKevin().getMiddleware()(getMockRequest("/__kevin/entries"), res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith({
+            nick: ["nick", "nick-too"],
+            elback: ["elback"],
+        });
+    });
+});
+
+describe("dynamic entries", () => {
+    const getDynamicConfigs = () => {
+        const pages = ["home"];
+        const configs = [
+            ...getConfigs(),
+            {
+                name: "pages",
+                entry: () =>
+                    Promise.resolve(
+                        pages.reduce((entry, page) => {
+                            entry[page] = `./${page}.js`;
+                            return entry;
+                        }, {})
+                    ),
+            },
+        ];
+        return { configs, addPage: (page) => pages.push(page) };
+    };
+
+    it("should add function entries to the entry map when the middleware starts", () => {
+        const { configs } = getDynamicConfigs();
+        const kevin = new Kevin(configs);
+        expect(kevin.entryMap.home).toBeUndefined();
+
+        const middleware = kevin.getMiddleware();
+        const getAssetName = jest.spyOn(kevin, "getAssetName");
+        const req = { ...getMockRequest("/nope.js"), get: () => undefined };
+        const res = getMockResponse();
+        res.setHeader = jest.fn();
+        return new Promise((resolve) => middleware(req, res, resolve)).then(() => {
+            // The request waited for the entries before looking for its config
+            expect(kevin.entryMap.home).toEqual(["pages"]);
+            expect(getAssetName).toHaveBeenCalledTimes(1);
+            expect(kevin.entryMapReady).toEqual(null);
+        });
+    });
+
+    it("should refresh function entries on demand", () => {
+        const { configs, addPage } = getDynamicConfigs();
+        const kevin = new Kevin(configs);
+        addPage("about");
+        const middleware = kevin.getMiddleware();
+        const res = getApiResponse();
+        return new Promise((resolve) => {
+            res.json.mockImplementation(resolve);
+            middleware(
+                getMockRequest("/__kevin/refresh-entries", "POST"),
+                res,
+                jest.fn()
+            );
+        }).then((entryMap) => {
+            expect(entryMap).toEqual({
+                nick: ["nick"],
+                elback: ["elback"],
+                home: ["pages"],
+                about: ["pages"],
+            });
+        });
+    });
+});
+
+describe("matching entrypoints by filename", () => {
+    const getHashedConfigs = () => [
+        {
+            name: "hashed",
+            entry: { app: "./app.js" },
+            output: {
+                path: "/dist",
+                publicPath: "/static/",
+                filename: "js/[name].[contenthash:8].js",
+            },
+        },
+        {
+            name: "bundled",
+            entry: "./index.js",
+            output: { path: "/bundled", filename: "[name].[chunkhash].bundle.js" },
+        },
+    ];
+
+    it("should match requests to entrypoints using output.filename", () => {
+        const kevin = new Kevin(getHashedConfigs());
+        expect(resolveRequest(kevin, "/static/js/app.1234abcd.js")).toEqual(
+            expect.objectContaining({
+                configName: "hashed",
+                entryName: "app",
+                candidates: ["hashed"],
+                isEntrypoint: true,
+                diskPath: "/dist/js/app.1234abcd.js",
+            })
+        );
+        expect(resolveRequest(kevin, "/main.0a1b2c.bundle.js")).toEqual(
+            expect.objectContaining({ configName: "bundled", entryName: "main" })
+        );
+        // Outside of the public path, or with the wrong filename
+        expect(resolveRequest(kevin, "/js/app.1234abcd.js").configName).toEqual(null);
+        expect(resolveRequest(kevin, "/static/js/app.js").configName).toEqual(null);
+    });
+
+    it("should leave chunks to the compiler that emitted them", () => {
+        const kevin = new Kevin(getHashedConfigs());
+        const compiler = getMockCompiler();
+        compiler.options = getHashedConfigs()[0];
+        kevin.manager.manageCompiler("hashed", compiler, {}, DONE);
+        // Chunks get the same template as entrypoints, so a chunk named "app" (i.e. with
+        // webpackChunkName) fits the entrypoint's too
+        const managedCompiler = kevin.manager.activeCompilers.hashed;
+        managedCompiler.emittedAssets = new Set([
+            "js/app.1234abcd.js",
+            "js/app.9f8e7d6c.js",
+        ]);
+        managedCompiler.entrypointFiles = new Map([["app", "js/app.1234abcd.js"]]);
+        expect(resolveRequest(kevin, "/static/js/app.9f8e7d6c.js")).toEqual(
+            expect.objectContaining({
+                configName: "hashed",
+                isEntrypoint: false,
+                entryName: null,
+                diskPath: "/dist/js/app.9f8e7d6c.js",
+            })
+        );
+    });
+
+    it("should serve an entrypoint from wherever the last build put it", () => {
+        const kevin = new Kevin(getHashedConfigs());
+        const compiler = getMockCompiler();
+        compiler.options = getHashedConfigs()[0];
+        kevin.manager.manageCompiler("hashed", compiler, {}, DONE);
+        const files = new Set(["js/app.5678ef90.js"]);
+        const stats = {
+            compilation: {
+                assets: { "js/app.5678ef90.js": {} },
+                entrypoints: new Map([
+                    ["app", { getEntrypointChunk: () => ({ files }) }],
+                ]),
+            },
+        };
+        const managedCompiler = kevin.manager.activeCompilers.hashed;
+        managedCompiler.setEmittedAssets(stats);
+        managedCompiler.setEntrypointFiles(stats);
+
+        // The request's hash is out of date, so we serve the latest one
+        expect(resolveRequest(kevin, "/static/js/app.1234abcd.js")).toEqual(
+            expect.objectContaining({
+                configName: "hashed",
+                entryName: "app",
+                compilerActive: true,
+                diskPath: "/dist/js/app.5678ef90.js",
+            })
+        );
+    });
+});
@@ -52,6 +52,52 @@ describe("kevin's getPathToServe utility", () => {
     });
 });
 
+describe("kevin's getOutputFilename utility", () => {
+    const { getOutputFilename } = require("../../lib/utils");
+
+    const getMockCompiler = (publicPath) => ({
+        options: {
+            output: { path: "/some/dist", publicPath },
+        },
+    });
+
+    it("strips the public path's pathname from the request", () => {
+        const compiler = getMockCompiler("https://your.sick.dev.server.com/js/");
+        expect(getOutputFilename(compiler, "/js/123.chunk.js")).toEqual("123.chunk.js");
+        expect(getOutputFilename(compiler, "/js/css/main.css")).toEqual("css/main.css");
+    });
+
+    it("never returns a leading slash", () => {
+        const compiler = getMockCompiler("https://your.sick.dev.server.com");
+        expect(getOutputFilename(compiler, "/123.chunk.js")).toEqual("123.chunk.js");
+    });
+});
+
+describe("kevin's readFromOutputFileSystem utility", () => {
+    const { readFromOutputFileSystem } = require("../../lib/utils");
+    const { createFsFromVolume, Volume } = require("memfs");
+
+    const outputFileSystem = createFsFromVolume(
+        Volume.fromJSON({ "/some/dist/main.js": "console.log('hi');" })
+    );
+    const mockCompiler = { outputFileSystem };
+
+    it("reads files from the compiler's output filesystem", () => {
+        return expect(
+            readFromOutputFileSystem(
+                mockCompiler,
+                "/some/dist/main.js"
+            ).then((content) => content.toString())
+        ).resolves.toEqual("console.log('hi');");
+    });
+
+    it("rejects if the file doesn't exist", () => {
+        return expect(
+            readFromOutputFileSystem(mockCompiler, "/some/dist/nope.js")
+        ).rejects.toThrow(/ENOENT/);
+    });
+});
+
 describe("kevin's validateConfigs utility", () => {
     const { validateConfigs } = require("../../lib/utils");
     const validConfig = {
@@ -114,4 +160,247 @@ describe("initializeEntryMap", () => {
             "someOtherConfigEntry",
         ]);
     });
+
+    it("keys string and array entries by their output filename", () => {
+        const entryMap = initializeEntryMap([
+            { name: "a", entry: "./a.js" },
+            { name: "b", entry: ["./b.js"], output: { filename: "[name].js" } },
+            { name: "c", entry: "./c.js", output: { filename: "/js/app-c.js" } },
+            { name: "d", entry: "./d.js", output: { filename: "[name].[hash].js" } },
+        ]);
+        expect(entryMap).toEqual({ main: ["a", "b", "d"], "js/app-c": ["c"] });
+    });
+
+    it("honors the filename of entry descriptors", () => {
+        const entryMap = initializeEntryMap([
+            {
+                name: "a",
+                entry: {
+                    home: { import: "./home.js", filename: "pages/[name].js" },
+                    shared: { import: "./shared.js" },
+                    about: { import: "./about.js", dependOn: "shared" },
+                },
+            },
+        ]);
+        expect(entryMap).toEqual({
+            "pages/home": ["a"],
+            shared: ["a"],
+            about: ["a"],
+        });
+    });
+
+    it("only includes function entries once they've been resolved", () => {
+        const configs = [{ name: "a", entry: () => ({ home: "./home.js" }) }];
+        expect(initializeEntryMap(configs)).toEqual({});
+        expect(
+            initializeEntryMap(configs, undefined, { a: { home: "./home.js" } })
+        ).toEqual({ home: ["a"] });
+    });
+});
+
+describe("initializeEntryMatchers and matchEntryRequest", () => {
+    const { initializeEntryMatchers, matchEntryRequest } = require("../../lib/utils");
+    const match = (configs, reqPath) =>
+        matchEntryRequest(initializeEntryMatchers(configs), reqPath);
+
+    it("matches hashes in output.filename", () => {
+        const configs = [
+            {
+                name: "a",
+                entry: { app: "./app.js" },
+                output: { filename: "js/[name].[contenthash:8].js" },
+            },
+            {
+                name: "b",
+                entry: "./b.js",
+                output: { filename: "[name].[fullhash].js" },
+            },
+        ];
+        expect(match(configs, "/js/app.1a2b3c4d.js")).toEqual([
+            { configName: "a", entryName: "app" },
+        ]);
+        expect(match(configs, "/main.1a2b3c.js")).toEqual([
+            { configName: "b", entryName: "main" },
+        ]);
+        expect(match(configs, "/js/app.js")).toEqual([]);
+        // Hashes with a length have exactly that many characters
+        expect(match(configs, "/js/app.1a2b3c.js")).toEqual([]);
+        expect(match(configs, "/js/other.1a2b3c4d.js")).toEqual([]);
+    });
+
+    it("only matches requests under the public path", () => {
+        const configs = [
+            {
+                name: "a",
+                entry: { app: "./app.js" },
+                output: {
+                    filename: "[name].[chunkhash].js",
+                    publicPath: "https://assets.example.com/static/",
+                },
+            },
+        ];
+        expect(match(configs, "/static/app.abc123.js")).toEqual([
+            { configName: "a", entryName: "app" },
+        ]);
+        expect(match(configs, "/app.abc123.js")).toEqual([]);
+        expect(match(configs, "/other/static/app.abc123.js")).toEqual([]);
+    });
+
+    it("honors the filename of entry descriptors", () => {
+        const configs = [
+            {
+                name: "a",
+                entry: {
+                    home: { import: "./home.js", filename: "pages/[name].[hash].js" },
+                    shared: "./shared.js",
+                },
+                output: { filename: "[name].bundle.js" },
+            },
+        ];
+        expect(match(configs, "/pages/home.abc.js")).toEqual([
+            { configName: "a", entryName: "home" },
+        ]);
+        expect(match(configs, "/shared.bundle.js")).toEqual([
+            { configName: "a", entryName: "shared" },
+        ]);
+    });
+
+    it("skips templates it can't match and unresolved function entries", () => {
+        const configs = [
+            {
+                name: "a",
+                entry: { app: "./app.js" },
+                output: { filename: () => "x.js" },
+            },
+            {
+                name: "b",
+                entry: { app: "./app.js" },
+                output: { filename: "[file].js" },
+            },
+            // Chunks usually share this template, so [id] can't tell entrypoints apart
+            { name: "d", entry: { app: "./app.js" }, output: { filename: "[id].js" } },
+            { name: "c", entry: () => ({ app: "./app.js" }) },
+        ];
+        expect(initializeEntryMatchers(configs)).toEqual([]);
+        expect(
+            matchEntryRequest(
+                initializeEntryMatchers(configs, { c: { app: "./app.js" } }),
+                "/app.js"
+            )
+        ).toEqual([{ configName: "c", entryName: "app" }]);
+    });
+});
+
+describe("getErrorDetails", () => {
+    const { getErrorDetails } = require("../../lib/utils");
+
+    it("keeps the module and location of errors from webpack's stats", () => {
+        expect(
+            getErrorDetails({
+                message: "Module parse failed",
+                moduleName: "./src/a.js",
+                moduleIdentifier: "/some/src/a.js",
+                loc: "1:10",
+            })
+        ).toEqual({
+            message: "Module parse failed",
+            moduleName: "./src/a.js",
+            loc: "1:10",
+        });
+    });
+
+    it("handles errors and strings", () => {
+        expect(getErrorDetails(new Error("oh no"))).toEqual({
+            message: "oh no",
+            moduleName: null,
+            loc: null,
+        });
+        expect(getErrorDetails("oh no")).toEqual({
+            message: "oh no",
+            moduleName: null,
+            loc: null,
+        });
+    });
+
+    it("strips terminal colors", () => {
+        expect(getErrorDetails("\u001b[31moh no\u001b[39m").message).toEqual("oh no");
+    });
+});
+
+describe("kevin's prependToEntry utility", () => {
+    const { prependToEntry } = require("../../lib/utils");
+    const client = "./client.js";
+
+    it("handles strings and arrays", () => {
+        expect(prependToEntry("./a.js", client)).toEqual([client, "./a.js"]);
+        expect(prependToEntry(["./a.js", "./b.js"], client)).toEqual([
+            client,
+            "./a.js",
+            "./b.js",
+        ]);
+    });
+    it("handles objects and entry descriptors", () => {
+        const entry = {
+            a: "./a.js",
+            b: ["./b.js"],
+            c: { import: "./c.js", dependOn: "a" },
+        };
+        expect(prependToEntry(entry, client)).toEqual({
+            a: [client, "./a.js"],
+            b: [client, "./b.js"],
+            c: { import: [client, "./c.js"], dependOn: "a" },
+        });
+        // The original entry isn't changed
+        expect(entry.c.import).toEqual("./c.js");
+    });
+    it("handles functions", () => {
+        const entry = prependToEntry(() => Promise.resolve({ a: "./a.js" }), client);
+        return entry().then((resolvedEntry) => {
+            expect(resolvedEntry).toEqual({ a: [client, "./a.js"] });
+        });
+    });
+});
+
+describe("kevin's serializeWatchOptions utility", () => {
+    const { serializeWatchOptions } = require("../../lib/utils");
+
+    it("turns regular expressions into strings", () => {
+        expect(serializeWatchOptions({ ignored: /node_modules/, poll: 500 })).toEqual({
+            ignored: "/node_modules/",
+            poll: 500,
+        });
+    });
+    it("leaves everything else alone", () => {
+        const watchOptions = { ignored: ["**/node_modules"], aggregateTimeout: 300 };
+        expect(serializeWatchOptions(watchOptions)).toEqual(watchOptions);
+    });
+});
+
+describe("kevin's getRequestId utility", () => {
+    const { getRequestId } = require("../../lib/utils");
+    const getRequest = (requestId) => ({ get: () => requestId });
+
+    it("reuses the incoming X-Request-Id", () => {
+        expect(getRequestId(getRequest("abc-123.def:4"))).toEqual("abc-123.def:4");
+    });
+    it("makes one up if there isn't one, or it looks wrong", () => {
+        expect(getRequestId(getRequest(undefined))).toMatch(/^[0-9a-f-]{36}$/);
+        expect(getRequestId(getRequest("<script>"))).toMatch(/^[0-9a-f-]{36}$/);
+        expect(getRequestId(getRequest("a".repeat(129)))).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
+
+describe("kevin's resolveDynamicEntries utility", () => {
+    const { resolveDynamicEntries } = require("../../lib/utils");
+
+    it("calls sync and async entry functions", () => {
+        const configs = [
+            { name: "a", entry: () => ({ home: "./home.js" }) },
+            { name: "b", entry: () => Promise.resolve("./b.js") },
+            { name: "c", entry: "./c.js" },
+        ];
+        return resolveDynamicEntries(configs).then((resolvedEntries) => {
+            expect(resolvedEntries).toEqual({ a: { home: "./home.js" }, b: "./b.js" });
+        });
+    });
 });